@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+const {
+  convertLocalSchemas,
+  watchLocalSchemas,
+  fetchAndConvertSchemas,
+  diffLocalSchemas,
+  diffGitSchemas,
+  reverseLocalSchemas,
+  validateLocalSchemas,
+} = require("..");
+const { OUTPUT_FORMATS } = require("../lib/converter");
+const { DIALECTS } = require("../lib/dialects");
+const { version } = require("../package.json");
+
+const formats = OUTPUT_FORMATS.join(", ");
+const dialects = Object.keys(DIALECTS).join(", ");
+
+const HELP = `Usage: drizzle-to-typeorm <command> [options]
+
+Commands:
+  convert <inputDir> <outputDir>              Convert local Drizzle schema files
+  fetch <repoUrl> <subfolder> <outputDir>     Fetch schema files from a Git repo and convert them
+  migrate <oldDir> <newDir> <outputDir>       Write a TypeORM migration between two schema versions
+  migrate-git <repoUrl> <subfolder> <fromRef> <toRef> <outputDir>
+                                              Same as migrate, for two refs of a Git repo
+  reverse <inputDir> <outputDir>              Convert TypeORM EntitySchema files back into Drizzle pgTable files
+  validate <inputDir>                         Load the converted entities in TypeORM, offline, and report
+                                              every difference to the Drizzle schema
+
+Options:
+  -c, --config <file>     Config file [default: ./drizzle-to-typeorm.config.js if present]
+  -f, --format <format>   Output format (${formats}) [default: cjs]
+  -d, --dialect <name>    Force the dialect (${dialects}) [default: detected from imports]
+  -n, --name <name>       Migration class name prefix [default: SchemaUpdate]
+  -r, --ref <ref>         Branch, tag or commit SHA to fetch (fetch only) [default: default branch]
+      --cache-dir <dir>   Keep Git clones in dir and reuse them between runs (fetch, migrate-git)
+  -s, --strict            Fail the conversion on any warning
+  -j, --junction-tables   Emit pure junction tables as many-to-many joinTables
+  -t, --declarations      Write a .d.ts with the entity interfaces next to each module (cjs, esm)
+  -w, --watch             Keep converting on every change (convert only)
+      --check             Write nothing, print a diff of stale or orphaned outputs and exit 1
+                          if there are any (convert, fetch)
+      --dry-run           Write nothing, list the outputs that would change (convert, fetch)
+      --snapshot          Convert the newest drizzle-kit snapshot of the input folder (its
+                          meta/NNNN_snapshot.json) or the given snapshot file (convert, fetch)
+  -i, --include <glob>    Schema files to read, repeatable [default: **/*.ts]
+  -x, --exclude <glob>    Files to skip, repeatable (*.d.ts and *.test.ts are always skipped)
+  -q, --quiet             Only print errors
+  -v, --verbose           Print every file that is written
+  -h, --help              Show this help
+      --version           Show the package version
+`;
+
+// --check fails on anything stale, a dry run never does
+const staleOutputs = (plan, options) => options.check && plan?.length > 0;
+
+const COMMANDS = {
+  convert: {
+    args: ["inputDir", "outputDir"],
+    run: (inputDir, outputDir, options) =>
+      options.watch
+        ? watchLocalSchemas(inputDir, outputDir, options)
+        : convertLocalSchemas(inputDir, outputDir, options),
+    failed: staleOutputs,
+  },
+  fetch: {
+    args: ["repoUrl", "subfolder", "outputDir"],
+    run: fetchAndConvertSchemas,
+    failed: staleOutputs,
+  },
+  migrate: { args: ["oldDir", "newDir", "outputDir"], run: diffLocalSchemas },
+  "migrate-git": {
+    args: ["repoUrl", "subfolder", "fromRef", "toRef", "outputDir"],
+    run: diffGitSchemas,
+  },
+  reverse: { args: ["inputDir", "outputDir"], run: reverseLocalSchemas },
+  validate: {
+    args: ["inputDir"],
+    run: validateLocalSchemas,
+    failed: (mismatches) => mismatches.length > 0,
+  },
+};
+
+class UsageError extends Error {}
+
+/**
+ * Splits argv into positionals and known flags.
+ *
+ * @param {string[]} argv - Arguments after the node executable and script
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+    const value = () => {
+      const v = inline ?? argv[++i];
+      if (v === undefined) throw new UsageError(`Missing value for ${flag}`);
+      return v;
+    };
+
+    switch (flag) {
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      case "--version":
+        options.version = true;
+        break;
+      case "-i":
+      case "--include":
+        (options.include ??= []).push(value());
+        break;
+      case "-x":
+      case "--exclude":
+        (options.exclude ??= []).push(value());
+        break;
+      case "-s":
+      case "--strict":
+        options.strict = true;
+        break;
+      case "-j":
+      case "--junction-tables":
+        options.junctionTables = true;
+        break;
+      case "-t":
+      case "--declarations":
+        options.declarations = true;
+        break;
+      case "-w":
+      case "--watch":
+        options.watch = true;
+        break;
+      case "--check":
+        options.check = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--snapshot":
+        options.snapshot = true;
+        break;
+      case "-q":
+      case "--quiet":
+        options.quiet = true;
+        break;
+      case "-v":
+      case "--verbose":
+        options.verbose = true;
+        break;
+      case "-c":
+      case "--config":
+        options.config = value();
+        break;
+      case "-f":
+      case "--format":
+        options.format = value();
+        break;
+      case "-d":
+      case "--dialect":
+        options.dialect = value();
+        break;
+      case "-r":
+      case "--ref":
+        options.ref = value();
+        break;
+      case "--cache-dir":
+        options.cacheDir = value();
+        break;
+      case "-n":
+      case "--name":
+        options.name = value();
+        if (!/^[A-Za-z_$][\w$]*$/.test(options.name))
+          throw new UsageError(`Invalid migration name: ${options.name}`);
+        break;
+      default:
+        if (flag.startsWith("-") && flag !== "-")
+          throw new UsageError(`Unknown option: ${flag}`);
+        positionals.push(arg);
+    }
+  }
+
+  if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+    throw new UsageError(
+      `Unknown format "${options.format}", expected one of: ${formats}`
+    );
+  }
+  if (options.dialect && !DIALECTS[options.dialect]) {
+    throw new UsageError(
+      `Unknown dialect "${options.dialect}", expected one of: ${dialects}`
+    );
+  }
+  if (options.quiet && options.verbose) {
+    throw new UsageError("--quiet and --verbose cannot be combined");
+  }
+
+  return { positionals, options };
+}
+
+async function main(argv) {
+  const { positionals, options } = parseArgs(argv);
+
+  if (options.version) {
+    console.log(version);
+    return 0;
+  }
+  if (options.help || positionals.length === 0) {
+    console.log(HELP);
+    return options.help ? 0 : 2;
+  }
+
+  const [name, ...args] = positionals;
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command: ${name}`);
+  if (args.length !== command.args.length) {
+    throw new UsageError(
+      `Usage: drizzle-to-typeorm ${name} ${command.args
+        .map((a) => `<${a}>`)
+        .join(" ")}`
+    );
+  }
+
+  if (options.watch && name !== "convert") {
+    throw new UsageError("--watch only applies to convert");
+  }
+  if ((options.check || options.dryRun) && options.watch) {
+    throw new UsageError(
+      "--check and --dry-run cannot be combined with --watch"
+    );
+  }
+  if (
+    (options.check || options.dryRun) &&
+    !["convert", "fetch"].includes(name)
+  ) {
+    throw new UsageError(
+      "--check and --dry-run only apply to convert and fetch"
+    );
+  }
+  if (options.snapshot && options.watch) {
+    throw new UsageError("--snapshot cannot be combined with --watch");
+  }
+  if (options.snapshot && !["convert", "fetch"].includes(name)) {
+    throw new UsageError("--snapshot only applies to convert and fetch");
+  }
+  if (options.ref && name !== "fetch") {
+    throw new UsageError("--ref only applies to fetch");
+  }
+  if (options.cacheDir && name !== "fetch" && name !== "migrate-git") {
+    throw new UsageError("--cache-dir only applies to fetch and migrate-git");
+  }
+
+  const result = await command.run(...args, options);
+  return command.failed?.(result, options) ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\nRun with --help for usage.`);
+      process.exitCode = 2;
+      return;
+    }
+    console.error(
+      err.message.startsWith("❌") ? err.message : `❌ ${err.message}`
+    );
+    if (process.env.DEBUG) console.error(err.stack);
+    process.exitCode = 1;
+  }
+);
@@ -1,67 +1,609 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { sparseFetch } = require("./sparser");
-const { convertSchemas } = require("./converter");
+const { createTwoFilesPatch } = require("diff");
+const { sparseFetch } = require("./lib/sparser");
+const {
+  parseSchemas,
+  emitSchemas,
+  convertSchemas,
+} = require("./lib/converter");
+const { generateMigration } = require("./lib/migrations");
+const { reverseSchemas } = require("./lib/reverse");
+const { validateSchemas } = require("./lib/validate");
+const { ConversionError, formatDiagnostic } = require("./lib/diagnostics");
+const { findSchemaFiles, readSchemaFiles } = require("./lib/discovery");
+const { readSnapshot, convertSnapshot } = require("./lib/snapshot");
+const { resolveOptions } = require("./lib/config");
 
 /**
- * Fetches .ts schema files from a Git repo and converts them to .js
+ * Builds console loggers honouring the quiet/verbose options.
  */
-async function fetchAndConvertSchemas(repoUrl, repoSubfolder, outputDir) {
-  const outputPath = path.resolve(outputDir);
+function createLogger({ quiet, verbose } = {}) {
+  const noop = () => {};
+  return {
+    info: quiet ? noop : console.log,
+    warn: quiet ? noop : console.warn,
+    error: console.error,
+    debug: verbose ? console.log : noop,
+  };
+}
 
-  sparseFetch(repoUrl, repoSubfolder, outputPath);
+/**
+ * Prints diagnostics, routing each severity to the matching log level.
+ * `displayFile` maps the file of each to the path it is shown under.
+ */
+function printDiagnostics(diagnostics, log, displayFile = (file) => file) {
+  for (const d of diagnostics) {
+    const line = formatDiagnostic(
+      d.file ? { ...d, file: displayFile(d.file) } : d
+    );
+    if (d.severity === "error") log.error(`❌ ${line}`);
+    else if (d.severity === "warning") log.warn(`⚠️  ${line}`);
+    else log.debug(`  ${line}`);
+  }
+}
 
-  const tsFiles = fs.readdirSync(outputPath).filter((f) => f.endsWith(".ts"));
-  const files = tsFiles.map((f) => ({
-    fileName: path.join(outputPath, f),
-    content: fs.readFileSync(path.join(outputPath, f), "utf8"),
-  }));
+/**
+ * What convert and fetch read at inputPath: its schema files, or with the
+ * `snapshot` option the drizzle-kit snapshot found there (see
+ * lib/snapshot.js), standing in for a `schema.ts` so that its outputs are
+ * named like that file's.
+ */
+function readInput(inputPath, options) {
+  if (!options.snapshot) return readSchemaFiles(inputPath, options);
+  const { source, snapshot } = readSnapshot(inputPath);
+  return [{ fileName: path.join(inputPath, "schema.ts"), source, snapshot }];
+}
 
-  if (files.length === 0) return;
+/**
+ * Runs convertSchemas, or convertSnapshot on a readInput snapshot, and
+ * prints its diagnostics, including the ones that made a strict conversion
+ * fail. `displayFile` is passed on to printDiagnostics.
+ */
+function runConversion(files, options, log, displayFile) {
+  const [{ fileName, source, snapshot } = {}] = files;
+  try {
+    const { files: result, diagnostics } = snapshot
+      ? convertSnapshot(snapshot, { ...options, file: fileName, source })
+      : convertSchemas(files, options);
+    printDiagnostics(diagnostics, log, displayFile);
+    return result;
+  } catch (err) {
+    if (err instanceof ConversionError)
+      printDiagnostics(err.diagnostics, log, displayFile);
+    throw err;
+  }
+}
 
-  const result = convertSchemas(files);
+/** Output path of a converted file, mirroring its place under inputPath. */
+const mirrorPath = (file, inputPath, outputPath) =>
+  path.join(outputPath, path.relative(inputPath, file));
 
-  for (const [file, content] of Object.entries(result)) {
-    fs.writeFileSync(file, content, "utf8");
+/** convertSchemas files keyed by their mirrorPath instead. */
+const mirrorOutputs = (result, inputPath, outputPath) =>
+  Object.fromEntries(
+    Object.entries(result).map(([file, content]) => [
+      mirrorPath(file, inputPath, outputPath),
+      content,
+    ])
+  );
+
+/** Lists the outputs written into an output directory, relative to it. */
+const OUTPUT_MANIFEST = ".drizzle-to-typeorm.json";
+
+/** Outputs written into outputPath by earlier runs that still exist. */
+function readManifest(outputPath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(
+      fs.readFileSync(path.join(outputPath, OUTPUT_MANIFEST), "utf8")
+    );
+  } catch {
+    return [];
+  }
+  return (manifest.files ?? [])
+    .map((file) => path.join(outputPath, file))
+    .filter((file) => fs.existsSync(file));
+}
+
+/**
+ * Records outputs as written into outputPath, along with earlier ones
+ * unless `replace`d.
+ */
+function writeManifest(outputPath, outputs, { replace = false } = {}) {
+  const files = new Set(replace ? [] : readManifest(outputPath));
+  outputs.forEach((file) => files.add(file));
+  const manifest = path.join(outputPath, OUTPUT_MANIFEST);
+  const content = `${JSON.stringify(
+    {
+      files: [...files]
+        .map((file) =>
+          path.relative(outputPath, file).split(path.sep).join("/")
+        )
+        .sort(),
+    },
+    null,
+    2
+  )}\n`;
+  // Left untouched when up to date, as a watched input may hold it
+  if (fs.existsSync(manifest) && fs.readFileSync(manifest, "utf8") === content)
+    return;
+  fs.mkdirSync(outputPath, { recursive: true });
+  fs.writeFileSync(manifest, content, "utf8");
+}
+
+/**
+ * Compares converted files with what outputPath holds. Outputs that do not
+ * exist yet are `create`d, outputs with other content `change`d, and files
+ * an earlier run wrote (see OUTPUT_MANIFEST) that are no longer produced
+ * are `orphan`s. Files the tool never wrote are left alone.
+ *
+ * @param {Record<string, string>} outputs - Output path to converted content
+ * @param {string} outputPath
+ * @param {string[]} [sources] - Input files, which are no orphans when
+ *   converting in place
+ * @returns {{ file: string, status: "create" | "change" | "orphan", previous?: string, content?: string }[]}
+ *   The outputs that are stale, unchanged ones left out
+ */
+function planOutputs(outputs, outputPath, sources = []) {
+  const plan = [];
+  for (const [file, content] of Object.entries(outputs)) {
+    if (!fs.existsSync(file)) {
+      plan.push({ file, status: "create", content });
+      continue;
+    }
+    const previous = fs.readFileSync(file, "utf8");
+    if (previous !== content)
+      plan.push({ file, status: "change", previous, content });
+  }
+
+  readManifest(outputPath)
+    .filter((file) => !(file in outputs) && !sources.includes(file))
+    .forEach((file) =>
+      plan.push({
+        file,
+        status: "orphan",
+        previous: fs.readFileSync(file, "utf8"),
+      })
+    );
+  return plan;
+}
+
+/**
+ * Prints a planOutputs result without touching disk: a unified diff per
+ * stale file with `check`, otherwise (`dryRun`) one line per file.
+ */
+function reportOutputs(plan, outputDir, options, log) {
+  const rel = (file) => path.relative(process.cwd(), file);
+
+  if (!options.check) {
+    const verbs = { create: "create", change: "change", orphan: "orphaned" };
+    plan.forEach(({ file, status }) =>
+      log.info(`  ${verbs[status]} ${rel(file)}`)
+    );
+    log.info(
+      `Dry run: ${plan.length} output(s) would change in ${outputDir}, nothing written`
+    );
+    return plan;
+  }
+
+  for (const { file, status, previous, content } of plan) {
+    log.info(
+      // Drop the `====` separator line jsdiff starts with
+      createTwoFilesPatch(
+        status === "create" ? "/dev/null" : `a/${rel(file)}`,
+        status === "orphan" ? "/dev/null" : `b/${rel(file)}`,
+        previous ?? "",
+        content ?? ""
+      ).replace(/^=+\n/, "")
+    );
+  }
+  if (plan.length > 0) {
+    log.error(
+      `❌ ${plan.length} generated file(s) in ${outputDir} are stale or orphaned`
+    );
+  } else {
+    log.info(`Generated files in ${outputDir} are up to date 🚀`);
   }
+  return plan;
+}
 
-  for (const { fileName } of files) {
-    fs.unlinkSync(fileName);
+/**
+ * Writes a generated migration (if any) into outputDir.
+ */
+function writeMigration(oldFiles, newFiles, outputDir, options, log) {
+  const migration = generateMigration(oldFiles, newFiles, options);
+  if (!migration) {
+    log.info("No schema changes detected, no migration written");
+    return null;
   }
 
-  console.log(`Converted ${files.length} file(s) from Git 🚀`);
+  const outputPath = path.resolve(outputDir);
+  fs.mkdirSync(outputPath, { recursive: true });
+  const outName = path.join(outputPath, migration.fileName);
+  fs.writeFileSync(outName, migration.content, "utf8");
+
+  migration.warnings.forEach((w) => log.warn(`⚠️  ${w}`));
+  log.info(`Wrote migration ${outName} 🚀`);
+  return outName;
+}
+
+/**
+ * Fetches .ts schema files from a Git repo and converts them into outputDir,
+ * mirroring the subfolder structure. Files already in outputDir are only
+ * replaced by converted files of the same name, and the ones written are
+ * recorded in its OUTPUT_MANIFEST. With `snapshot`, the subfolder is a
+ * drizzle-kit output folder and its newest snapshot is converted instead.
+ *
+ * @param {string} repoUrl - SSH, HTTPS or `file://` Git repo URL, or a local repo path
+ * @param {string} repoSubfolder - Subfolder inside the repo holding the schema
+ * @param {string} outputDir - Directory to write converted files to
+ * @param {{ ref?: string, cacheDir?: string, check?: boolean, dryRun?: boolean, snapshot?: boolean, config?: string, format?: string, dialect?: string, strict?: boolean, include?: string[], exclude?: string[], quiet?: boolean, verbose?: boolean }} [options]
+ *   `ref` pins a branch, tag or commit SHA, `cacheDir` keeps the clone for
+ *   later runs (see lib/sparser.js), `check` and `dryRun` work as in
+ *   convertLocalSchemas. The rest is merged over
+ *   drizzle-to-typeorm.config.js, see lib/config.js
+ * @returns {Promise<ReturnType<typeof planOutputs> | undefined>}
+ *   The stale outputs with `check` or `dryRun`
+ */
+async function fetchAndConvertSchemas(
+  repoUrl,
+  repoSubfolder,
+  outputDir,
+  options = {}
+) {
+  options = resolveOptions(options);
+  const log = createLogger(options);
+  const outputPath = path.resolve(outputDir);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "drizzle-to-typeorm-"));
+
+  try {
+    const sha = sparseFetch(repoUrl, repoSubfolder, tmp, {
+      ref: options.ref,
+      cacheDir: options.cacheDir,
+    });
+    log.debug(`  fetched ${options.ref ?? "default branch"} (${sha})`);
+
+    const files = readInput(tmp, options);
+    // The clone is gone once this returns, diagnostics point into the repo
+    const inRepo = (file) =>
+      `${repoUrl.replace(/\/+$/, "")}/${path.posix.join(
+        repoSubfolder,
+        path.relative(tmp, file).split(path.sep).join("/")
+      )}`;
+
+    if (options.check || options.dryRun) {
+      const result = runConversion(files, options, log, inRepo);
+      const outputs = mirrorOutputs(result, tmp, outputPath);
+      const plan = planOutputs(outputs, outputPath);
+      return reportOutputs(plan, outputDir, options, log);
+    }
+
+    if (files.length === 0) return;
+
+    const result = runConversion(files, options, log, inRepo);
+
+    const outputs = mirrorOutputs(result, tmp, outputPath);
+    for (const [outName, content] of Object.entries(outputs)) {
+      fs.mkdirSync(path.dirname(outName), { recursive: true });
+      fs.writeFileSync(outName, content, "utf8");
+      log.debug(`  wrote ${outName}`);
+    }
+    writeManifest(outputPath, Object.keys(outputs));
+
+    log.info(`Converted ${files.length} file(s) from Git 🚀`);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
 }
 
 /**
- * Converts local .ts schema files from one folder to .js in another folder
+ * Converts local .ts schema files from one folder tree into another,
+ * mirroring the input directory structure. The outputs written are recorded
+ * in the OUTPUT_MANIFEST of outputDir
+ *
+ * @param {string} inputDir - Directory holding the Drizzle schema files, or
+ *   with `snapshot` a drizzle-kit output folder or snapshot file
+ * @param {string} outputDir - Directory to write converted files to
+ * @param {{ check?: boolean, dryRun?: boolean, snapshot?: boolean, config?: string, format?: string, dialect?: string, strict?: boolean, include?: string[], exclude?: string[], quiet?: boolean, verbose?: boolean }} [options]
+ *   `check` prints a unified diff of every output that is stale or orphaned
+ *   instead of writing, `dryRun` only lists them. `snapshot` converts the
+ *   newest drizzle-kit snapshot instead of schema files, which then become
+ *   `schema.js` (or `.ts`). The rest is merged over
+ *   drizzle-to-typeorm.config.js, see lib/config.js
+ * @returns {Promise<ReturnType<typeof planOutputs> | undefined>}
+ *   The stale outputs with `check` or `dryRun`
  */
-async function convertLocalSchemas(inputDir, outputDir) {
+async function convertLocalSchemas(inputDir, outputDir, options = {}) {
+  options = resolveOptions(options);
+  const log = createLogger(options);
   const inputPath = path.resolve(inputDir);
   const outputPath = path.resolve(outputDir);
 
+  const files = readInput(inputPath, options);
+
+  if (options.check || options.dryRun) {
+    const result = runConversion(files, options, log);
+    const outputs = mirrorOutputs(result, inputPath, outputPath);
+    const sources = files.map((f) => f.fileName);
+    const plan = planOutputs(outputs, outputPath, sources);
+    return reportOutputs(plan, outputDir, options, log);
+  }
+
   if (!fs.existsSync(outputPath)) {
     fs.mkdirSync(outputPath, { recursive: true });
   }
 
-  const tsFiles = fs.readdirSync(inputPath).filter((f) => f.endsWith(".ts"));
-  const files = tsFiles.map((f) => ({
-    fileName: path.join(inputPath, f),
-    content: fs.readFileSync(path.join(inputPath, f), "utf8"),
-  }));
-
   if (files.length === 0) return;
 
-  const result = convertSchemas(files);
+  const result = runConversion(files, options, log);
+
+  const outputs = mirrorOutputs(result, inputPath, outputPath);
+  for (const [outName, content] of Object.entries(outputs)) {
+    fs.mkdirSync(path.dirname(outName), { recursive: true });
+    fs.writeFileSync(outName, content, "utf8");
+    log.debug(`  wrote ${outName}`);
+  }
+  writeManifest(outputPath, Object.keys(outputs));
+
+  log.info(`Converted ${files.length} local file(s) 🚀`);
+}
+
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * Converts local schema files like convertLocalSchemas, then reconverts on
+ * every change under inputDir. Only changed source files are parsed again,
+ * only outputs whose content changed are rewritten, and outputs that are no
+ * longer produced (e.g. of a deleted schema file) are removed, from the
+ * first conversion on those an earlier run recorded in OUTPUT_MANIFEST.
+ * Errors are logged and watching goes on.
+ *
+ * @param {string} inputDir - Directory holding the Drizzle schema files
+ * @param {string} outputDir - Directory to write converted files to
+ * @param {Parameters<typeof convertLocalSchemas>[2]} [options]
+ * @returns {Promise<{ close: () => void }>} Handle that stops watching
+ */
+async function watchLocalSchemas(inputDir, outputDir, options = {}) {
+  options = resolveOptions(options);
+  if (options.snapshot) {
+    throw new Error("❌ Snapshots cannot be watched, convert them instead");
+  }
+  const log = createLogger(options);
+  const inputPath = path.resolve(inputDir);
+  const outputPath = path.resolve(outputDir);
+  const sourceFileCache = new Map();
+  let sources;
+  let outputs = new Set(readManifest(outputPath));
+  const logError = (err) =>
+    log.error(err.message.startsWith("❌") ? err.message : `❌ ${err.message}`);
+
+  // A file may be gone by the time it is read, its event brings a rebuild
+  const readSources = () =>
+    findSchemaFiles(inputPath, options).flatMap((fileName) => {
+      try {
+        return [{ fileName, content: fs.readFileSync(fileName, "utf8") }];
+      } catch (err) {
+        if (err.code !== "ENOENT") logError(err);
+        return [];
+      }
+    });
+
+  const rebuild = () => {
+    const files = readSources();
+    const unchanged =
+      sources &&
+      files.length === sources.size &&
+      files.every((f) => sources.get(f.fileName) === f.content);
+    if (unchanged) return;
+    sources = new Map(files.map((f) => [f.fileName, f.content]));
+
+    let result;
+    try {
+      result = runConversion(files, { ...options, sourceFileCache }, log);
+    } catch (err) {
+      // Keep watching, the next edit may fix it
+      logError(err);
+      return;
+    }
+
+    const next = new Set();
+    let changed = 0;
+    for (const [file, content] of Object.entries(result)) {
+      const outName = mirrorPath(file, inputPath, outputPath);
+      next.add(outName);
+      if (
+        fs.existsSync(outName) &&
+        fs.readFileSync(outName, "utf8") === content
+      )
+        continue;
+      fs.mkdirSync(path.dirname(outName), { recursive: true });
+      fs.writeFileSync(outName, content, "utf8");
+      log.debug(`  wrote ${outName}`);
+      changed++;
+    }
+    for (const outName of outputs) {
+      if (next.has(outName) || sources.has(outName)) continue;
+      fs.rmSync(outName, { force: true });
+      log.debug(`  removed ${outName}`);
+      changed++;
+    }
+    outputs = next;
+    writeManifest(outputPath, [...next], { replace: true });
+
+    log.info(
+      `Converted ${files.length} local file(s), ${changed} output(s) changed 🚀`
+    );
+  };
+
+  rebuild();
+
+  let timer;
+  const watcher = fs.watch(inputPath, { recursive: true }, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        rebuild();
+      } catch (err) {
+        logError(err);
+      }
+    }, WATCH_DEBOUNCE_MS);
+  });
+  watcher.on("error", (err) => log.error(`❌ ${err.message}`));
+  log.info(`Watching ${inputPath} for changes...`);
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+/**
+ * Generates a TypeORM migration from two local versions of a Drizzle schema
+ *
+ * @param {string} oldDir - Directory holding the previous schema version
+ * @param {string} newDir - Directory holding the current schema version
+ * @param {string} outputDir - Directory to write the migration to
+ * @param {{ config?: string, name?: string, format?: string, dialect?: string, include?: string[], exclude?: string[], quiet?: boolean, verbose?: boolean }} [options]
+ *   Merged over drizzle-to-typeorm.config.js, see lib/config.js
+ * @returns {Promise<string | null>} Path of the written migration
+ */
+async function diffLocalSchemas(oldDir, newDir, outputDir, options = {}) {
+  options = resolveOptions(options);
+  const log = createLogger(options);
+  const oldFiles = readSchemaFiles(path.resolve(oldDir), options);
+  const newFiles = readSchemaFiles(path.resolve(newDir), options);
+
+  return writeMigration(oldFiles, newFiles, outputDir, options, log);
+}
+
+/**
+ * Generates a TypeORM migration between two refs of a Git-hosted Drizzle schema
+ *
+ * @param {string} repoUrl - SSH, HTTPS or `file://` Git repo URL, or a local repo path
+ * @param {string} repoSubfolder - Subfolder inside the repo holding the schema
+ * @param {string} fromRef - Branch, tag or commit of the previous version
+ * @param {string} toRef - Branch, tag or commit of the current version
+ * @param {string} outputDir - Directory to write the migration to
+ * @param {{ cacheDir?: string, config?: string, name?: string, format?: string, dialect?: string, include?: string[], exclude?: string[], quiet?: boolean, verbose?: boolean }} [options]
+ *   `cacheDir` keeps the clone for later runs, see lib/sparser.js. The rest
+ *   is merged over drizzle-to-typeorm.config.js, see lib/config.js
+ * @returns {Promise<string | null>} Path of the written migration
+ */
+async function diffGitSchemas(
+  repoUrl,
+  repoSubfolder,
+  fromRef,
+  toRef,
+  outputDir,
+  options = {}
+) {
+  options = resolveOptions(options);
+  const log = createLogger(options);
+  const outputPath = path.resolve(outputDir);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "drizzle-to-typeorm-"));
+  // Both refs are checked out of the same clone
+  const cacheDir = options.cacheDir ?? path.join(tmp, "cache");
+
+  try {
+    const fetchRef = (ref, label) => {
+      const dir = path.join(tmp, label);
+      const sha = sparseFetch(repoUrl, repoSubfolder, dir, { ref, cacheDir });
+      log.debug(`  fetched ${ref} (${sha})`);
+      return readSchemaFiles(dir, options);
+    };
+    const oldFiles = fetchRef(fromRef, "from");
+    const newFiles = fetchRef(toRef, "to");
+
+    return writeMigration(oldFiles, newFiles, outputPath, options, log);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Converts local TypeORM EntitySchema modules back into Drizzle pgTable files
+ *
+ * @param {string} inputDir - Directory holding the EntitySchema .js/.ts files
+ * @param {string} outputDir - Directory to write the Drizzle schema files to
+ * @param {{ exclude?: string[], quiet?: boolean, verbose?: boolean }} [options]
+ * @returns {Promise<{ file: string, entity?: string, message: string }[]>}
+ *   Everything that could not be represented in Drizzle
+ */
+async function reverseLocalSchemas(inputDir, outputDir, options = {}) {
+  const log = createLogger(options);
+  const inputPath = path.resolve(inputDir);
+  const outputPath = path.resolve(outputDir);
+
+  const files = readSchemaFiles(inputPath, {
+    include: ["**/*.{js,cjs,mjs,ts}"],
+    exclude: options.exclude,
+  });
+
+  if (files.length === 0) return [];
+
+  const { files: result, issues } = reverseSchemas(files);
 
   for (const [file, content] of Object.entries(result)) {
-    const outName = path.join(outputPath, path.basename(file));
+    const outName = path.join(outputPath, path.relative(inputPath, file));
+    fs.mkdirSync(path.dirname(outName), { recursive: true });
     fs.writeFileSync(outName, content, "utf8");
+    log.debug(`  wrote ${outName}`);
   }
 
-  console.log(`Converted ${files.length} local file(s) 🚀`);
+  issues.forEach(({ file, entity, message }) =>
+    log.warn(
+      `⚠️  ${path.relative(process.cwd(), file)}${
+        entity ? ` (${entity})` : ""
+      }: ${message}`
+    )
+  );
+  log.info(`Reversed ${Object.keys(result).length} file(s) into Drizzle 🚀`);
+  return issues;
+}
+
+/**
+ * Converts local schema files in memory, loads the result in TypeORM and
+ * reports every difference to the Drizzle schema, see lib/validate.js
+ *
+ * @param {string} inputDir - Directory holding the Drizzle schema files
+ * @param {Parameters<typeof convertLocalSchemas>[2]} [options]
+ * @returns {Promise<string[]>} The mismatches found
+ */
+async function validateLocalSchemas(inputDir, options = {}) {
+  options = resolveOptions(options);
+  const log = createLogger(options);
+  const files = readSchemaFiles(path.resolve(inputDir), options);
+
+  if (files.length === 0) return [];
+
+  const { mismatches, entities, diagnostics } = await validateSchemas(
+    files,
+    options
+  );
+  printDiagnostics(diagnostics, log);
+  mismatches.forEach((m) => log.error(`❌ ${m}`));
+
+  if (mismatches.length)
+    log.info(
+      `Found ${mismatches.length} mismatch(es) between ${entities} TypeORM entity(ies) and the Drizzle schema`
+    );
+  else log.info(`Validated ${entities} TypeORM entity(ies) 🚀`);
+  return mismatches;
 }
 
 module.exports = {
+  parseSchemas,
+  emitSchemas,
+  convertSchemas,
   fetchAndConvertSchemas,
   convertLocalSchemas,
+  watchLocalSchemas,
+  diffLocalSchemas,
+  diffGitSchemas,
+  reverseLocalSchemas,
+  validateLocalSchemas,
 };
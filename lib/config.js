@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { NAMING_KEYS } = require("./naming");
+const { PLUGIN_HOOKS } = require("./plugins");
+
+const CONFIG_FILE_NAMES = [
+  "drizzle-to-typeorm.config.js",
+  "drizzle-to-typeorm.config.cjs",
+];
+
+/**
+ * Everything a config file may set. They are the same options
+ * `convertSchemas` and the index.js entry points take.
+ */
+const CONFIG_KEYS = [
+  "format",
+  "dialect",
+  "strict",
+  "include",
+  "exclude",
+  "typeMap",
+  "typeOverrides",
+  "naming",
+  "rename",
+  "excludeTables",
+  "junctionTables",
+  "declarations",
+  "snapshot",
+  "plugins",
+];
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+const isStringArray = (v) =>
+  Array.isArray(v) && v.every((s) => typeof s === "string");
+
+// A TypeORM type, or column options to merge such as `{ type, length, tsType }`
+const isTypeSpec = (v) =>
+  typeof v === "string" || (isPlainObject(v) && typeof v.type === "string");
+
+/**
+ * Throws on unknown keys and values of the wrong shape, so that typos in a
+ * config file do not silently fall back to defaults.
+ */
+function validateConfig(config, file) {
+  const fail = (msg) => {
+    throw new Error(`❌ Invalid config ${file}: ${msg}`);
+  };
+  if (!isPlainObject(config)) fail("expected an object export");
+
+  for (const [key, value] of Object.entries(config)) {
+    if (!CONFIG_KEYS.includes(key)) fail(`unknown option "${key}"`);
+    if ((key === "include" || key === "exclude") && !isStringArray(value))
+      fail(`"${key}" must be an array of globs`);
+    if (key === "excludeTables" && !isStringArray(value))
+      fail(`"excludeTables" must be an array of table names`);
+    if (
+      ["junctionTables", "declarations", "snapshot"].includes(key) &&
+      typeof value !== "boolean"
+    )
+      fail(`"${key}" must be a boolean`);
+    if (
+      ["typeMap", "typeOverrides", "rename", "naming"].includes(key) &&
+      !isPlainObject(value)
+    )
+      fail(`"${key}" must be an object`);
+    if (key === "typeMap" || key === "typeOverrides") {
+      Object.entries(value).forEach(([k, v]) => {
+        if (!isTypeSpec(v))
+          fail(`"${key}.${k}" must be a type name or an object with a type`);
+      });
+    }
+    if (key === "rename") {
+      Object.entries(value).forEach(([k, v]) => {
+        if (typeof v !== "string") fail(`"rename.${k}" must be a string`);
+      });
+    }
+    if (key === "plugins") {
+      if (!Array.isArray(value)) fail(`"plugins" must be an array`);
+      value.forEach((plugin, i) => {
+        if (!isPlainObject(plugin)) fail(`"plugins[${i}]" must be an object`);
+        PLUGIN_HOOKS.forEach((hook) => {
+          if (plugin[hook] !== undefined && typeof plugin[hook] !== "function")
+            fail(`"plugins[${i}].${hook}" must be a function`);
+        });
+      });
+    }
+    if (key === "naming") {
+      Object.keys(value).forEach((k) => {
+        if (!NAMING_KEYS.includes(k)) fail(`unknown naming option "${k}"`);
+      });
+    }
+  }
+  return config;
+}
+
+/**
+ * First config file found in dir, if any.
+ *
+ * @param {string} [dir]
+ */
+function findConfigFile(dir = process.cwd()) {
+  return CONFIG_FILE_NAMES.map((f) => path.join(dir, f)).find((f) =>
+    fs.existsSync(f)
+  );
+}
+
+/**
+ * Requires and validates a config file.
+ *
+ * @param {string} file
+ */
+function loadConfig(file) {
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) throw new Error(`❌ Config file not found: ${abs}`);
+  const mod = require(abs);
+  return validateConfig(mod?.__esModule ? mod.default : mod, abs);
+}
+
+/**
+ * Merges the config file into options; options that are set win. The file
+ * is `options.config` when given, otherwise looked up in the working
+ * directory. Fetched repositories are never searched, as loading a config
+ * runs its code.
+ *
+ * @param {{ config?: string } & Record<string, any>} [options]
+ */
+function resolveOptions(options = {}) {
+  const file = options.config ?? findConfigFile();
+  if (!file) return options;
+
+  const set = Object.fromEntries(
+    Object.entries(options).filter(([, v]) => v !== undefined)
+  );
+  return { ...loadConfig(file), ...set, config: path.resolve(file) };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  CONFIG_KEYS,
+  validateConfig,
+  findConfigFile,
+  loadConfig,
+  resolveOptions,
+};
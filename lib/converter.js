@@ -1,6 +1,30 @@
 const fs = require("fs");
 const path = require("path");
 const ts = require("typescript");
+const {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  dialectForTableFn,
+  dialectForViewFn,
+  detectDialect,
+} = require("./dialects");
+const { TRANSFORMERS, propertyTypeOf, quote } = require("./typings");
+const {
+  snakeToPascal,
+  pascal,
+  foreignKeyName,
+  uniqueName,
+  createNaming,
+} = require("./naming");
+const { emitDecoratorEntities, templateLiteral } = require("./decorators");
+const { createSchemaProgram } = require("./resolver");
+const {
+  ConversionError,
+  createDiagnostics,
+  locate,
+  hasProblems,
+} = require("./diagnostics");
+const { applyModelPlugins, applyEmitPlugins } = require("./plugins");
 
 const isStr = (n) => n && ts.isStringLiteral(n);
 const isNum = (n) => n && ts.isNumericLiteral(n);
@@ -10,117 +34,654 @@ const isPar = (n) => n && ts.isParenthesizedExpression(n);
 const isSqlTagged = (n) =>
   n && ts.isTaggedTemplateExpression(n) && n.tag?.escapedText === "sql";
 
-const snakeToPascal = (s) =>
-  (s || "")
-    .replace(/^_+|_+$/g, "")
-    .split("_")
-    .filter(Boolean)
-    .map((w) => w[0].toUpperCase() + w.slice(1))
-    .join("");
-
-const pascal = (w) => (w ? w[0].toUpperCase() + w.slice(1) : "");
-
-const typeMap = {
-  uuid: "uuid",
-  varchar: "varchar",
-  char: "char",
-  text: "text",
-  bigint: "bigint",
-  int: "int",
-  integer: "int",
-  smallint: "smallint",
-  numeric: "numeric",
-  decimal: "decimal",
-  float: "float",
-  double: "double",
-  boolean: "boolean",
-  timestamp: "timestamp",
-  timestamptz: "timestamptz",
-  date: "date",
-  time: "time",
-  json: "json",
-  jsonb: "jsonb",
-  geometry: "geometry",
-  geography: "geography",
+// `pgTable` and `pg.pgTable` both name the same function
+const calleeName = (call) =>
+  ts.isPropertyAccessExpression(call.expression)
+    ? call.expression.name.escapedText
+    : call.expression.escapedText;
+
+const toType = (x, dialect) => DIALECTS[dialect].typeMap[x] || "text";
+const isEnumType = (t) => t === "enum" || t === "simple-enum";
+
+const OUTPUT_FORMATS = ["cjs", "esm", "ts", "decorators"];
+
+const OUTPUT_EXTENSIONS = {
+  cjs: ".js",
+  esm: ".js",
+  ts: ".ts",
 };
 
-const toType = (x) => typeMap[x] || "text";
+const COLUMN_OPTION_KEYS = [
+  "length",
+  "precision",
+  "scale",
+  "enum",
+  "withTimezone",
+  "mode",
+  "dimensions",
+];
+
+const RELATION_OPTION_KEYS = [
+  "fields",
+  "references",
+  "relationName",
+  "onDelete",
+  "onUpdate",
+  "cascade",
+];
 
 const ORDER = [
   "type",
   "enum",
+  "enumName",
   "precision",
   "scale",
   "length",
   "name",
   "array",
   "primary",
+  "primaryKeyConstraintName",
   "generated",
+  "generatedType",
+  "asExpression",
   "unique",
   "nullable",
   "default",
   "createDate",
   "updateDate",
+  "deleteDate",
+  "transformer",
 ];
 
-const JS_DOC_TYPE_MAP = {
-  uuid: "string",
-  varchar: "string",
-  char: "string",
-  text: "string",
-  boolean: "boolean",
-  int: "number",
-  integer: "number",
-  smallint: "number",
-  bigint: "number",
-  numeric: "number",
-  decimal: "number",
-  float: "number",
-  double: "number",
-  timestamp: "Date",
-  timestamptz: "Date",
-  date: "Date",
-  time: "Date",
-  json: "object",
-  jsonb: "object",
-  geometry: "object",
-  geography: "object",
+// Drizzle filter operators -> SQL, for view queries
+const SQL_OPERATORS = {
+  eq: "=",
+  ne: "<>",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  like: "LIKE",
+  notLike: "NOT LIKE",
+  ilike: "ILIKE",
+  notIlike: "NOT ILIKE",
 };
 
-const unwrapSqlTag = (node) => {
-  if (!isSqlTagged(node)) return undefined;
-  const tx = node.template?.text;
-  return /current_timestamp/i.test(tx) ? "CURRENT_TIMESTAMP" : undefined;
+const SQL_JOINS = {
+  innerJoin: "INNER JOIN",
+  leftJoin: "LEFT JOIN",
+  rightJoin: "RIGHT JOIN",
+  fullJoin: "FULL JOIN",
 };
 
-const overrideDefaultIfSqlTagged = (arg0) =>
-  unwrapSqlTag(arg0) ? `'${unwrapSqlTag(arg0)}'` : undefined;
+// Column options a view column keeps from the table column it selects
+const VIEW_COLUMN_KEYS = [
+  "type",
+  "enum",
+  "enumName",
+  "length",
+  "precision",
+  "scale",
+  "array",
+  "tsType",
+  "transformer",
+];
+
+// Methods on an index column: `t.name.desc().nullsLast()`, `t.tags.op("...")`
+const INDEX_COLUMN_METHODS = ["asc", "desc", "nullsFirst", "nullsLast", "op"];
+
+/** Drizzle referential actions -> TypeORM `OnDeleteType` / `OnUpdateType` */
+const toReferentialAction = (a) =>
+  a === "set default" ? "DEFAULT" : a.toUpperCase();
+
+/** SQL text of a sql`...` template, unless it interpolates values. */
+const unwrapSqlTag = (node) =>
+  isSqlTagged(node) && ts.isNoSubstitutionTemplateLiteral(node.template)
+    ? node.template.text.trim()
+    : undefined;
+
+/** `{"a","b"}`, the Postgres literal for an array column default. */
+const pgArrayLiteral = (values) =>
+  `{${values
+    .map((v) => (typeof v === "string" ? JSON.stringify(v) : v))
+    .join(",")}}`;
+
+/**
+ * Statically evaluates a JSON-like literal (strings, numbers, booleans,
+ * null, and arrays/objects of those).
+ *
+ * @returns `{ value }`, or `undefined` when node is not such a literal
+ */
+function readLiteral(node) {
+  if (!node) return undefined;
+  if (isPar(node) || ts.isAsExpression(node))
+    return readLiteral(node.expression);
+  if (isStr(node) || ts.isNoSubstitutionTemplateLiteral(node))
+    return { value: node.text };
+  if (isNum(node)) return { value: +node.text };
+  if (
+    ts.isPrefixUnaryExpression(node) &&
+    node.operator === ts.SyntaxKind.MinusToken &&
+    isNum(node.operand)
+  )
+    return { value: -node.operand.text };
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return { value: true };
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return { value: false };
+  if (node.kind === ts.SyntaxKind.NullKeyword) return { value: null };
+
+  if (isArr(node)) {
+    const items = node.elements.map(readLiteral);
+    return items.every(Boolean)
+      ? { value: items.map((i) => i.value) }
+      : undefined;
+  }
+  if (isObj(node)) {
+    const value = {};
+    for (const p of node.properties) {
+      const item = ts.isPropertyAssignment(p) && readLiteral(p.initializer);
+      if (!item || ts.isComputedPropertyName(p.name)) return undefined;
+      value[p.name.text] = item.value;
+    }
+    return { value };
+  }
+  return undefined;
+}
+
+/**
+ * Splits `fn(...).a(...).b(...)` into the root call and its chained method
+ * calls, innermost first.
+ */
+function splitChain(call) {
+  const chain = [];
+  let c = call;
+  while (
+    ts.isCallExpression(c) &&
+    ts.isPropertyAccessExpression(c.expression) &&
+    ts.isCallExpression(c.expression.expression)
+  ) {
+    chain.unshift({
+      method: c.expression.name.escapedText,
+      args: c.arguments,
+    });
+    c = c.expression.expression;
+  }
+  return { root: c, chain };
+}
+
+/**
+ * What an arrow or function expression returns: its expression body, or the
+ * first top-level `return` of a block body.
+ */
+function returnedExpression(fn) {
+  if (!fn || !(ts.isArrowFunction(fn) || ts.isFunctionExpression(fn)))
+    return undefined;
+  let body = fn.body;
+  if (ts.isBlock(body))
+    body = body.statements.find(ts.isReturnStatement)?.expression;
+  while (body && (isPar(body) || ts.isAsExpression(body)))
+    body = body.expression;
+  return body;
+}
+
+/**
+ * Text of a `$type<...>()` type argument, or undefined when it names a type
+ * declared in or imported into the schema module, which generated files
+ * cannot see.
+ */
+function portableTypeText(typeNode) {
+  const moduleTypes = new Set();
+  typeNode.getSourceFile().statements.forEach((st) => {
+    if (ts.isImportDeclaration(st)) {
+      const clause = st.importClause;
+      const bindings = clause?.namedBindings;
+      if (clause?.name) moduleTypes.add(clause.name.text);
+      if (bindings && ts.isNamespaceImport(bindings))
+        moduleTypes.add(bindings.name.text);
+      else bindings?.elements.forEach((e) => moduleTypes.add(e.name.text));
+    } else if (
+      (ts.isTypeAliasDeclaration(st) ||
+        ts.isInterfaceDeclaration(st) ||
+        ts.isClassDeclaration(st) ||
+        ts.isEnumDeclaration(st)) &&
+      st.name
+    ) {
+      moduleTypes.add(st.name.text);
+    }
+  });
+
+  let portable = true;
+  const visit = (n) => {
+    if (ts.isTypeQueryNode(n)) portable = false;
+    if (ts.isTypeReferenceNode(n)) {
+      let id = n.typeName;
+      while (ts.isQualifiedName(id)) id = id.left;
+      if (moduleTypes.has(id.text)) portable = false;
+    }
+    ts.forEachChild(n, visit);
+  };
+  visit(typeNode);
+  return portable ? typeNode.getText().replace(/\s+/g, " ") : undefined;
+}
+
+/** Initializer of `key` in an object literal, if it is a plain assignment. */
+const propertyOf = (obj, key) =>
+  isObj(obj)
+    ? obj.properties.find(
+        (p) => ts.isPropertyAssignment(p) && p.name.escapedText === key
+      )?.initializer
+    : undefined;
+
+/** Column keys of `t.a, t.b` style arguments. */
+const columnKeys = (nodes) =>
+  nodes.filter(ts.isPropertyAccessExpression).map((n) => n.name.escapedText);
+
+/**
+ * SQL text of a sql`...` template whose interpolations are columns of the
+ * table, e.g. sql`${t.price} > 0` -> `"price" > 0`.
+ */
+function readSqlTemplate(node, columns, dialect) {
+  if (!isSqlTagged(node)) return undefined;
+  const tpl = node.template;
+  if (ts.isNoSubstitutionTemplateLiteral(tpl)) return tpl.text.trim();
+
+  const q = dialect === "mysql" ? "`" : '"';
+  let text = tpl.head.text;
+  for (const span of tpl.templateSpans) {
+    const [key] = columnKeys([span.expression]);
+    if (!columns[key]) return undefined;
+    text += `${q}${columns[key].name ?? key}${q}${span.literal.text}`;
+  }
+  return text.trim();
+}
+
+/**
+ * Reads an `index()`/`uniqueIndex()` chain such as
+ * `index("name").using("gin", t.tags).where(sql`...`)`. The index is built
+ * on `elements`, each `{ column }` or `{ expression }` with an optional
+ * `order`, `nulls` and `opclass`; `columns` are the plain column keys among
+ * them. What TypeORM cannot create is marked `synchronize: false`, so that
+ * TypeORM leaves the index alone.
+ *
+ * @param {ts.CallExpression} call
+ * @param {Record<string, object>} columns - Columns of the table
+ * @param {{ dialect: string, configKey?: string, format?: string, diagnostics: ReturnType<typeof createDiagnostics> }} ctx
+ *   `configKey` names the index when it is an entry of an extra config object
+ */
+function readIndex(call, columns, { dialect, configKey, format, diagnostics }) {
+  const { root, chain } = splitChain(call);
+  const [nameArg] = root.arguments;
+  const index = {
+    name: isStr(nameArg) ? nameArg.text : configKey,
+    columns: [],
+    elements: [],
+    unique: calleeName(root) === "uniqueIndex",
+    location: locate(call),
+  };
+
+  const element = (node) => {
+    const el = {};
+    let n = node;
+    while (
+      ts.isCallExpression(n) &&
+      ts.isPropertyAccessExpression(n.expression) &&
+      INDEX_COLUMN_METHODS.includes(n.expression.name.escapedText)
+    ) {
+      const method = n.expression.name.escapedText;
+      if (method === "op") el.opclass = n.arguments[0]?.text;
+      else if (method === "asc" || method === "desc")
+        el.order ??= method.toUpperCase();
+      else el.nulls ??= method === "nullsFirst" ? "FIRST" : "LAST";
+      n = n.expression.expression;
+    }
+    const [key] = columnKeys([n]);
+    if (columns[key]) return { column: key, ...el };
+    const expression = readSqlTemplate(n, columns, dialect);
+    return expression === undefined ? undefined : { expression, ...el };
+  };
 
-function getColumn(init, name) {
+  let unreadable;
+  chain.forEach(({ method, args }) => {
+    if (method === "on" || method === "onOnly" || method === "using") {
+      if (method === "using") index.method = args[0]?.text?.toLowerCase();
+      (method === "using" ? args.slice(1) : args).forEach((a) => {
+        const el = element(a);
+        if (el) index.elements.push(el);
+        else unreadable ??= a;
+      });
+    } else if (method === "where") {
+      index.where = readSqlTemplate(args[0], columns, dialect);
+      if (index.where === undefined) unreadable ??= args[0];
+    } else if (method === "concurrently") {
+      index.concurrent = true;
+    } else {
+      diagnostics.warn(
+        "UNSUPPORTED_INDEX_OPTION",
+        call,
+        `.${method}() of index ${index.name} is not converted`
+      );
+    }
+  });
+  if (unreadable || !index.elements.length) {
+    diagnostics.warn(
+      "UNSUPPORTED_INDEX",
+      unreadable ?? call,
+      `Index ${index.name} must be built on columns of its table or sql\`\` interpolating only them`
+    );
+    return undefined;
+  }
+  index.columns = index.elements.filter((e) => e.column).map((e) => e.column);
+  return classifyIndex(index, { dialect, format, diagnostics, at: call });
+}
+
+/**
+ * Marks what TypeORM makes of an index's method, and emits it with
+ * `synchronize: false` when TypeORM cannot create it as declared.
+ *
+ * @param {object} index - Index model with `elements` and `method` read
+ * @param {{ dialect: string, format?: string, diagnostics: ReturnType<typeof createDiagnostics>, at?: ts.Node | import("./diagnostics").SourceLocation }} ctx
+ *   `at` is where diagnostics point
+ */
+function classifyIndex(index, { dialect, format, diagnostics, at }) {
+  // GiST is what TypeORM creates for a spatial index, fulltext is MySQL's
+  if (index.method === "gist" && dialect === "pg") index.spatial = true;
+  else if (index.method === "fulltext") index.fulltext = true;
+  const unmanaged = [
+    index.method &&
+      !index.spatial &&
+      !index.fulltext &&
+      index.method !== "btree" &&
+      `method ${index.method}`,
+    index.elements.some((e) => e.expression) && "expressions",
+    index.elements.some((e) => e.opclass) && "operator classes",
+  ].filter(Boolean);
+  if (unmanaged.length) {
+    index.synchronize = false;
+    diagnostics.warn(
+      "UNMANAGED_INDEX",
+      at,
+      `TypeORM cannot express the ${unmanaged.join(", ")} of index ${
+        index.name
+      }, it is emitted with synchronize: false`
+    );
+  } else if (index.elements.some((e) => e.order || e.nulls)) {
+    diagnostics.warn(
+      "INDEX_ORDER",
+      at,
+      `TypeORM indexes have no sort order, the one of index ${index.name} is dropped`
+    );
+  }
+  if (index.concurrent && format !== "decorators" && !index.synchronize) {
+    diagnostics.warn(
+      "INDEX_CONCURRENTLY",
+      at,
+      `EntitySchema cannot create index ${index.name} concurrently, it is emitted as a plain index`
+    );
+  }
+  return index;
+}
+
+/**
+ * Translates the query of a view into SQL. It is either a sql`...` template
+ * interpolating tables and columns, or a query builder callback such as
+ * `(qb) => qb.select({ id: users.id }).from(users).where(eq(...))`, in which
+ * case the selected columns become the columns of the view.
+ *
+ * @param {ts.Expression} node - Argument of the view's `.as()`
+ * @param {{ dialect: string, entityData: Record<string, object>, resolveEntity: (n: ts.Node) => string | undefined }} ctx
+ * @returns {{ expression?: string, columns?: Record<string, object>, unsupported?: ts.Node }}
+ *   `unsupported` is the first node that could not be translated
+ */
+function readViewQuery(node, { dialect, entityData, resolveEntity }) {
+  const q = dialect === "mysql" ? "`" : '"';
+  const id = (n) => `${q}${n}${q}`;
+  let unsupported;
+  const fail = (n) => {
+    unsupported ??= n;
+    return "";
+  };
+
+  const tableOf = (n) => entityData[resolveEntity(n)];
+  const tableSql = (data) =>
+    (data.schema ? `${id(data.schema)}.` : "") + id(data.tableName);
+  // `users.email` -> `"users"."email"`
+  const columnOf = (n) => {
+    if (!ts.isPropertyAccessExpression(n)) return undefined;
+    const data = tableOf(n.expression);
+    const col = data?.columns[n.name.escapedText];
+    if (!col) return undefined;
+    const name = col.name ?? n.name.escapedText;
+    return { col, name, sql: `${tableSql(data)}.${id(name)}` };
+  };
+
+  const literal = (value) => {
+    if (value === null) return "NULL";
+    if (typeof value === "string") return `'${value.replace(/'/g, "''")}'`;
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    return `${value}`;
+  };
+
+  const sqlText = (tagged) => {
+    const tpl = tagged.template;
+    if (ts.isNoSubstitutionTemplateLiteral(tpl)) return tpl.text.trim();
+    return tpl.templateSpans
+      .reduce(
+        (text, span) => text + operand(span.expression) + span.literal.text,
+        tpl.head.text
+      )
+      .trim();
+  };
+
+  const condition = (call) => {
+    const fn = calleeName(call);
+    const [a, b] = call.arguments;
+    if (SQL_OPERATORS[fn])
+      return `${operand(a)} ${SQL_OPERATORS[fn]} ${operand(b)}`;
+    if (fn === "isNull" || fn === "isNotNull")
+      return `${operand(a)} IS ${fn === "isNull" ? "" : "NOT "}NULL`;
+    if (fn === "and" || fn === "or")
+      return call.arguments
+        .map((c) => `(${operand(c)})`)
+        .join(` ${fn.toUpperCase()} `);
+    if (fn === "not") return `NOT (${operand(a)})`;
+    if ((fn === "inArray" || fn === "notInArray") && isArr(b))
+      return `${operand(a)} ${fn === "inArray" ? "IN" : "NOT IN"} (${b.elements
+        .map(operand)
+        .join(", ")})`;
+    if (fn === "asc" || fn === "desc")
+      return `${operand(a)} ${fn.toUpperCase()}`;
+    return fail(call);
+  };
+
+  const operand = (n) => {
+    if (!n) return fail(node);
+    const column = columnOf(n);
+    if (column) return column.sql;
+    const table = tableOf(n);
+    if (table) return tableSql(table);
+    if (isSqlTagged(n)) return sqlText(n);
+    const lit = readLiteral(n);
+    if (lit && (lit.value === null || typeof lit.value !== "object"))
+      return literal(lit.value);
+    if (ts.isCallExpression(n)) return condition(n);
+    return fail(n);
+  };
+
+  if (isSqlTagged(node)) {
+    const expression = sqlText(node);
+    return unsupported ? { unsupported } : { expression };
+  }
+
+  const qb = returnedExpression(node) ?? node;
+  if (!qb || !ts.isCallExpression(qb)) return { unsupported: node };
+  const { root, chain } = splitChain(qb);
+  const [from, ...clauses] = chain;
+  const select = calleeName(root);
+  const source = from?.method === "from" && tableOf(from.args[0]);
+  if ((select !== "select" && select !== "selectDistinct") || !source)
+    return { unsupported: qb };
+
+  // select() without fields takes every column of the table
+  const [selection] = root.arguments;
+  const fields = {};
+  if (!selection) {
+    Object.entries(source.columns).forEach(([key, col]) => {
+      const name = col.name ?? key;
+      fields[key] = { col, name, sql: `${tableSql(source)}.${id(name)}` };
+    });
+  } else if (isObj(selection)) {
+    selection.properties.forEach((p) => {
+      const column =
+        ts.isPropertyAssignment(p) &&
+        ts.isIdentifier(p.name) &&
+        columnOf(p.initializer);
+      if (column) fields[p.name.text] = column;
+      else fail(p);
+    });
+  } else {
+    fail(selection);
+  }
+
+  const sql = [
+    `SELECT ${select === "selectDistinct" ? "DISTINCT " : ""}${Object.values(
+      fields
+    )
+      .map((f) => f.sql)
+      .join(", ")}`,
+    `FROM ${tableSql(source)}`,
+  ];
+  clauses.forEach(({ method, args }) => {
+    // Without fields a joined select nests each table, which no view can
+    if (SQL_JOINS[method] && selection)
+      sql.push(
+        `${SQL_JOINS[method]} ${operand(args[0])} ON ${operand(args[1])}`
+      );
+    else if (method === "where") sql.push(`WHERE ${operand(args[0])}`);
+    else if (method === "orderBy")
+      sql.push(`ORDER BY ${args.map(operand).join(", ")}`);
+    else if (method === "limit") sql.push(`LIMIT ${operand(args[0])}`);
+    else fail(qb);
+  });
+  if (unsupported) return { unsupported };
+
+  const columns = {};
+  Object.entries(fields).forEach(([key, { col, name }]) => {
+    const viewCol = {};
+    VIEW_COLUMN_KEYS.forEach((k) => {
+      if (col[k] !== undefined) viewCol[k] = col[k];
+    });
+    if (name !== key) viewCol.name = name;
+    viewCol.nullable = !!col.nullable && !col.primary;
+    columns[key] = viewCol;
+  });
+  return { expression: sql.join(" "), columns };
+}
+
+/**
+ * @param {ts.Expression} init - Column builder chain
+ * @param {string} name - Property name of the column
+ * @param {{ dialect?: string, format?: string, enums?: Record<string, { name: string, values: string[] }>, typeMap?: Record<string, string | object>, resolveEnum?: (n: ts.Node) => object | undefined, resolveCustomType?: (n: ts.Node) => string | undefined, resolveEntity?: (n: ts.Node) => string | undefined, deferred?: ((columns: Record<string, object>) => void)[], diagnostics?: ReturnType<typeof createDiagnostics> }} [ctx]
+ *   `resolveEnum`/`resolveEntity` follow imports; `enums` is the by-name fallback.
+ *   `typeMap` maps builder names to a TypeORM type or column options.
+ *   What needs the other columns of the table, like the expression of a
+ *   generated column, is pushed to `deferred` to run once they are all read
+ */
+function getColumn(init, name, ctx = {}) {
+  const {
+    dialect = DEFAULT_DIALECT,
+    format,
+    enums = {},
+    typeMap = {},
+    resolveEnum = () => undefined,
+    resolveCustomType = () => undefined,
+    resolveEntity = () => undefined,
+    deferred,
+    diagnostics = createDiagnostics(),
+  } = ctx;
   const col = { type: "text", nullable: true };
-  if (!ts.isCallExpression(init)) return col;
+  if (!ts.isCallExpression(init)) {
+    diagnostics.warn(
+      "UNSUPPORTED_COLUMN",
+      init,
+      `Column ${name} is not a builder call, emitted as text`
+    );
+    return col;
+  }
 
+  // Walk down to the builder call; a callee like `pg.varchar` or `t.uuid`
+  // is a namespaced builder rather than a chained modifier
   let root = init;
   while (
     ts.isCallExpression(root) &&
-    ts.isPropertyAccessExpression(root.expression)
+    ts.isPropertyAccessExpression(root.expression) &&
+    ts.isCallExpression(root.expression.expression)
   ) {
     root = root.expression.expression;
   }
 
-  col.type = toType(root.expression?.escapedText);
-  const [nameArg, opts] = root.arguments;
+  const builder = ts.isCallExpression(root) ? calleeName(root) : undefined;
+  col.type = toType(builder, dialect);
+  let [nameArg, opts] = root.arguments;
+  if (isObj(nameArg)) [nameArg, opts] = [undefined, nameArg];
   if (isStr(nameArg) && nameArg.text !== name) col.name = nameArg.text;
 
+  // mysqlEnum('name', ['a', 'b']) takes its values positionally
+  if (col.type === "enum" && isArr(opts)) {
+    col.enum = opts.elements.map((e) => (isStr(e) ? e.text : e.getText()));
+  }
+
+  const pgEnum = resolveEnum(root.expression) ?? enums[builder];
+  const mapped = typeMap[builder] ?? resolveCustomType(root.expression);
+  if (pgEnum) {
+    Object.assign(col, {
+      type: "enum",
+      enum: pgEnum.values,
+      enumName: pgEnum.name,
+    });
+  } else if (mapped) {
+    Object.assign(col, typeof mapped === "string" ? { type: mapped } : mapped);
+  } else if (!DIALECTS[dialect].typeMap[builder]) {
+    diagnostics.warn(
+      "UNKNOWN_COLUMN_TYPE",
+      root,
+      `Unknown column builder ${
+        builder ?? root.expression.getText()
+      } for ${name}, emitted as text (map it with the typeMap option)`
+    );
+  }
+  if (DIALECTS[dialect].unloadable?.includes(col.type))
+    diagnostics.warn(
+      "UNLOADABLE_COLUMN_TYPE",
+      root,
+      `TypeORM does not support the ${col.type} type of ${name}, the entity fails to load (map ${builder} to a supported type with the typeMap option)`
+    );
+  if (!mapped && DIALECTS[dialect].serial?.includes(builder))
+    Object.assign(col, { generated: "increment", nullable: false });
+  const transformer = DIALECTS[dialect].transformers?.[builder];
+  if (!mapped && transformer) col.transformer = transformer;
+
   if (isObj(opts)) {
     opts.properties.forEach((p) => {
-      if (!ts.isPropertyAssignment(p)) return;
+      if (
+        !ts.isPropertyAssignment(p) ||
+        !COLUMN_OPTION_KEYS.includes(p.name.escapedText)
+      ) {
+        diagnostics.warn(
+          "UNSUPPORTED_OPTION",
+          p,
+          `Column option ${
+            p.name?.getText() ?? p.getText()
+          } of ${name} is not converted`
+        );
+        return;
+      }
       const k = p.name.escapedText;
       const v = p.initializer;
       const set = (cond, val) => cond && (col[k] = val);
       set(k === "length" && isNum(v), +v.text);
       set(k === "precision" && isNum(v), +v.text);
       set(k === "scale" && isNum(v), +v.text);
+      // Vector and bit widths are a length to TypeORM
+      if (k === "dimensions" && isNum(v)) col.length = +v.text;
 
       if (k === "enum" && isArr(v)) {
         col.enum = v.elements.map((e) =>
@@ -130,14 +691,23 @@ function getColumn(init, name) {
       }
       if (k === "withTimezone" && v.kind === ts.SyntaxKind.TrueKeyword)
         col.type = "timestamptz";
+      if (k === "mode" && isStr(v)) {
+        const modeType = DIALECTS[dialect].modeMap?.[builder]?.[v.text];
+        if (modeType) col.type = modeType;
+        const modeTransformer =
+          DIALECTS[dialect].modeTransformers?.[builder]?.[v.text];
+        if (modeTransformer) col.transformer = modeTransformer;
+      }
     });
   }
 
+  // Arrays and objects are serialised once the chain is read, as that is
+  // when `.array()` is known
+  let structuredDefault;
   let call = init;
-  while (call && ts.isCallExpression(call)) {
+  while (call && ts.isCallExpression(call) && call !== root) {
     const { name: method } = call.expression;
     const arg = call.arguments[0];
-    const sqlDefault = overrideDefaultIfSqlTagged(arg);
 
     switch (method?.escapedText) {
       case "notNull":
@@ -145,9 +715,71 @@ function getColumn(init, name) {
         break;
       case "primaryKey":
         Object.assign(col, { primary: true, nullable: false });
+        if (
+          isObj(arg) &&
+          arg.properties.some(
+            (p) =>
+              ts.isPropertyAssignment(p) &&
+              p.name.escapedText === "autoIncrement" &&
+              p.initializer.kind === ts.SyntaxKind.TrueKeyword
+          )
+        )
+          col.generated = "increment";
+        break;
+      case "autoincrement":
+        col.generated = "increment";
         break;
+      case "generatedAlwaysAsIdentity":
+      case "generatedByDefaultAsIdentity":
+        Object.assign(col, {
+          generated: "identity",
+          generatedIdentity:
+            method.escapedText === "generatedAlwaysAsIdentity"
+              ? "ALWAYS"
+              : "BY DEFAULT",
+          nullable: false,
+        });
+        if (isObj(arg) && arg.properties.length)
+          diagnostics.warn(
+            "UNSUPPORTED_OPTION",
+            arg,
+            `Sequence options of the identity column ${name} are not converted`
+          );
+        if (format !== "decorators")
+          diagnostics.warn(
+            "IDENTITY_COLUMN",
+            call.expression.name,
+            `EntitySchema cannot declare identity columns, ${name} is emitted as generated: 'increment'`
+          );
+        break;
+      case "generatedAlwaysAs": {
+        // sql`...`, () => sql`...` or a plain SQL string
+        const expr = returnedExpression(arg) ?? arg;
+        const mode = propertyOf(call.arguments[1], "mode");
+        col.generatedType =
+          dialect === "pg" || (isStr(mode) && mode.text === "stored")
+            ? "STORED"
+            : "VIRTUAL";
+        const resolve = (columns) => {
+          col.asExpression =
+            expr && isStr(expr)
+              ? expr.text
+              : readSqlTemplate(expr, columns, dialect);
+          if (col.asExpression !== undefined) return;
+          delete col.generatedType;
+          diagnostics.warn(
+            "UNSUPPORTED_GENERATED",
+            arg ?? call,
+            `Expression of the generated column ${name} must be a sql\`\` template over its table's columns or a string, the column is emitted as a plain column`
+          );
+        };
+        if (deferred) deferred.push(resolve);
+        else resolve({});
+        break;
+      }
       case "unique":
         col.unique = true;
+        if (isStr(arg)) col.uniqueName = arg.text;
         break;
       case "array":
         col.array = true;
@@ -155,20 +787,36 @@ function getColumn(init, name) {
       case "$onUpdate":
         col.updateDate = true;
         break;
-      case "default":
-        col.default =
-          sqlDefault ??
-          (arg
-            ? isNum(arg)
-              ? +arg.text
-              : isStr(arg)
-              ? `'${arg.text}'`
-              : arg.kind === ts.SyntaxKind.TrueKeyword
-              ? true
-              : arg.kind === ts.SyntaxKind.FalseKeyword
-              ? false
-              : undefined
-            : true);
+      case "default": {
+        if (!arg) {
+          col.default = true;
+          break;
+        }
+        const raw = unwrapSqlTag(arg);
+        const literal = readLiteral(arg);
+        if (raw !== undefined) col.default = { raw };
+        else if (typeof literal?.value === "string")
+          col.default = quote(literal.value);
+        else if (literal?.value !== null && typeof literal?.value === "object")
+          structuredDefault = literal.value;
+        else if (literal) col.default = literal.value;
+        else
+          diagnostics.warn(
+            "UNSUPPORTED_DEFAULT",
+            arg,
+            isSqlTagged(arg)
+              ? `Default ${arg.getText()} of ${name} interpolates values and is dropped`
+              : `Default ${arg.getText()} of ${name} is dropped`
+          );
+        break;
+      }
+      case "$defaultFn":
+      case "$default":
+        diagnostics.warn(
+          "RUNTIME_DEFAULT",
+          call.expression.name,
+          `.${method.escapedText}() on ${name} runs in the application only and has no database default`
+        );
         break;
       case "defaultRandom":
         Object.assign(col, {
@@ -178,43 +826,168 @@ function getColumn(init, name) {
         });
         break;
       case "defaultNow":
-        if (name !== "createdAt") col.default = true;
+        // CreateDateColumn supplies its own default
+        if (name !== "createdAt") col.default = { raw: DIALECTS[dialect].now };
         break;
       case "references":
         if (ts.isArrowFunction(arg)) {
           const body = arg.body;
-          if (ts.isPropertyAccessExpression(body))
-            col.referencesVar = body.expression.escapedText;
+          if (ts.isPropertyAccessExpression(body)) {
+            col.referencesVar = body.expression.getText();
+            col.referencesEntity = resolveEntity(body.expression);
+            col.referencesColumn = body.name.escapedText;
+          }
         }
+        if (!col.referencesVar)
+          diagnostics.warn(
+            "UNSUPPORTED_REFERENCE",
+            call,
+            `Foreign key target of ${name} could not be resolved`
+          );
         if (isObj(call.arguments[1])) {
           call.arguments[1].properties.forEach((p) => {
             if (!ts.isPropertyAssignment(p)) return;
             const k = p.name.escapedText;
             const v = p.initializer;
-            if (k === "onDelete" && isStr(v)) col.onDelete = v.text;
-            if (k === "onUpdate" && isStr(v)) col.onUpdate = v.text;
+            if (k === "onDelete" && isStr(v))
+              col.onDelete = toReferentialAction(v.text);
+            if (k === "onUpdate" && isStr(v))
+              col.onUpdate = toReferentialAction(v.text);
             if (k === "cascade" && v.kind === ts.SyntaxKind.TrueKeyword)
               col.cascade = true;
           });
         }
         break;
+      case "$type": {
+        const typeArg = call.typeArguments?.[0];
+        const tsType = typeArg && portableTypeText(typeArg);
+        if (tsType) col.tsType = tsType;
+        else
+          diagnostics.info(
+            "TYPE_OVERRIDE_IGNORED",
+            call,
+            `$type<${
+              typeArg?.getText() ?? "..."
+            }>() on ${name} names a type of the schema module and is not carried over to the typings`
+          );
+        break;
+      }
+      default:
+        if (method)
+          diagnostics.warn(
+            "UNSUPPORTED_MODIFIER",
+            call.expression.name,
+            `.${method.escapedText}() on ${name} is not converted`
+          );
     }
     call = call.expression.expression;
   }
 
-  if (name === "createdAt")
+  if (structuredDefault !== undefined) {
+    col.default = quote(
+      col.array && Array.isArray(structuredDefault)
+        ? pgArrayLiteral(structuredDefault)
+        : JSON.stringify(structuredDefault)
+    );
+  }
+
+  // TypeORM fills date columns with a datetime, not an epoch integer
+  const epoch = ["timestamp", "timestamp_ms"].includes(col.transformer);
+  if (name === "createdAt" && !epoch)
     Object.assign(col, { createDate: true, nullable: false });
-  if (name === "updatedAt") col.updateDate = true;
+  if (name === "updatedAt" && !epoch) col.updateDate = true;
+  if (col.type === "enum" && DIALECTS[dialect].enumType)
+    col.type = DIALECTS[dialect].enumType;
   return col;
 }
 
+/**
+ * Reads `pgEnum('name', ['a', 'b'])` into `{ name, values }`. With
+ * `schemaOf`, which names the pgSchema a call is made on, `auth.enum(...)`
+ * is read too and keeps its `schema`.
+ */
+function readPgEnum(
+  init,
+  diagnostics = createDiagnostics(),
+  schemaOf = () => undefined
+) {
+  if (!init || !ts.isCallExpression(init)) return undefined;
+  // `auth.enum(...)` of `const auth = pgSchema('auth')`
+  const schema = calleeName(init) === "enum" ? schemaOf(init) : undefined;
+  if (calleeName(init) !== "pgEnum" && !schema) return undefined;
+
+  const [nameArg, valuesArg] = init.arguments;
+  const values =
+    valuesArg && ts.isAsExpression(valuesArg)
+      ? valuesArg.expression
+      : valuesArg;
+  if (!isStr(nameArg) || !isArr(values)) {
+    diagnostics.warn(
+      "UNSUPPORTED_ENUM",
+      init,
+      "pgEnum name and values must be literals, columns using it become text"
+    );
+    return undefined;
+  }
+
+  return {
+    name: nameArg.text,
+    values: values.elements.map((e) => (isStr(e) ? e.text : e.getText())),
+    ...(schema && { schema }),
+    location: locate(init),
+  };
+}
+
+/**
+ * Reads the SQL type of `customType({ dataType() { return 'citext'; } })`.
+ *
+ * @returns The type, `null` for a customType whose dataType() is not a
+ *   literal, or `undefined` when init is not a customType at all
+ */
+function readCustomType(init) {
+  if (!init || !ts.isCallExpression(init) || calleeName(init) !== "customType")
+    return undefined;
+
+  const [def] = init.arguments;
+  const dataType =
+    isObj(def) &&
+    def.properties.find((p) => p.name?.escapedText === "dataType");
+  let body;
+  if (dataType && ts.isMethodDeclaration(dataType)) body = dataType.body;
+  else if (
+    dataType &&
+    ts.isPropertyAssignment(dataType) &&
+    ts.isFunctionLike(dataType.initializer)
+  )
+    body = dataType.initializer.body;
+  if (body && ts.isBlock(body)) {
+    body = body.statements.find(ts.isReturnStatement)?.expression;
+  }
+
+  return body &&
+    (ts.isStringLiteral(body) || ts.isNoSubstitutionTemplateLiteral(body))
+    ? body.text
+    : null;
+}
+
 const printColumnField = (k, v, cfg) => {
   if (k === "enum") {
-    return cfg.type === "enum"
-      ? `        enum: [${v.map((e) => `'${e}'`).join(", ")}],`
+    return isEnumType(cfg.type)
+      ? `        enum: [${v.map(quote).join(", ")}],`
       : "";
   }
 
+  if (k === "transformer") return `        ${k}: ${TRANSFORMERS[v].source},`;
+  // See the IDENTITY_COLUMN warning
+  if (k === "generated" && v === "identity")
+    return `        ${k}: 'increment',`;
+  if (k === "asExpression") return `        ${k}: ${templateLiteral(v)},`;
+
+  // SQL expressions become TypeORM function defaults
+  if (v?.raw !== undefined) {
+    return `        ${k}: () => ${JSON.stringify(v.raw)},`;
+  }
+
   if (typeof v === "string" && !/^'.*'$/.test(v)) {
     return `        ${k}: '${v}',`;
   }
@@ -222,6 +995,55 @@ const printColumnField = (k, v, cfg) => {
   return `        ${k}: ${v},`;
 };
 
+/** Type of a relation property, `typeRef` naming the target entity type. */
+const relationTypeOf = (r, typeRef = (name) => name) => {
+  const many = r.relType === "one-to-many" || r.relType === "many-to-many";
+  return `${typeRef(r.toEntity)}${many ? "[]" : ""}`;
+};
+
+// Relations are included so `EntitySchema<T>` accepts the `relations` block
+const printTypedef = (entity, data, typeRef) => {
+  const fields = [
+    ...Object.entries(data.columns).map(
+      ([k, v]) => ` * @property {${propertyTypeOf(v, data.dialect)}} ${k}`
+    ),
+    ...data.relations.map(
+      (r) => ` * @property {${relationTypeOf(r, typeRef)}} ${r.localName}`
+    ),
+  ].join("\n");
+  return `/**\n * @typedef {Object} ${entity}\n${fields}\n */`;
+};
+
+const printInterface = (entity, data) => {
+  const fields = [
+    ...Object.entries(data.columns).map(
+      ([k, v]) => `  ${k}: ${propertyTypeOf(v, data.dialect)};`
+    ),
+    ...data.relations.map((r) => `  ${r.localName}: ${relationTypeOf(r)};`),
+  ].join("\n");
+  return `export interface ${entity} {\n${fields}\n}`;
+};
+
+/** Relative module specifier from one generated file to another. */
+const moduleSpecifier = (fromFile, toFile) => {
+  const rel = path
+    .relative(path.dirname(fromFile), toFile)
+    .replace(/\.[jt]s$/, "")
+    .split(path.sep)
+    .join("/");
+  return rel.startsWith(".") ? rel : `./${rel}`;
+};
+
+/**
+ * Turns a `Name: new EntitySchema({...}),` object member into a top-level
+ * declaration, `open(name)` supplying everything up to the opening paren.
+ */
+const asExportedSchema = (schema, open) =>
+  schema
+    .replace(/^(\w+): new EntitySchema\(/, (_, name) => open(name))
+    .replace(/^  /gm, "")
+    .replace(/\}\),$/, "});");
+
 function printRelation(r) {
   const out = [];
   out.push(`      ${r.localName}: {`);
@@ -229,15 +1051,55 @@ function printRelation(r) {
   out.push(`        type: '${r.relType}',`);
   if (r.inverseSide) out.push(`        inverseSide: '${r.inverseSide}',`);
 
-  if (r.relType !== "one-to-many" && r.joinColumnName) {
-    out.push(`        joinColumn: { name: '${r.joinColumnName}' },`);
+  if (r.joinColumns) {
+    const cols = r.joinColumns.map(
+      (jc) =>
+        `{ name: '${jc.name}', referencedColumnName: '${
+          jc.referencedColumnName
+        }'${
+          r.foreignKeyName
+            ? `, foreignKeyConstraintName: '${r.foreignKeyName}'`
+            : ""
+        } }`
+    );
+    out.push(
+      cols.length === 1
+        ? `        joinColumn: ${cols[0]},`
+        : `        joinColumn: [\n${cols
+            .map((c) => `          ${c},`)
+            .join("\n")}\n        ],`
+    );
+  } else if (r.relType !== "one-to-many" && r.joinColumnName) {
+    out.push(
+      `        joinColumn: { name: '${r.joinColumnName}'${
+        r.foreignKeyName
+          ? `, foreignKeyConstraintName: '${r.foreignKeyName}'`
+          : ""
+      } },`
+    );
   }
 
-  if (r.relType === "many-to-many" && r.isOwner) {
+  if (r.joinTable) {
+    const { name, schema, joinColumn, inverseJoinColumn } = r.joinTable;
+    const col = (jc) =>
+      `{ name: '${jc.name}', referencedColumnName: '${
+        jc.referencedColumnName
+      }'${
+        jc.foreignKeyConstraintName
+          ? `, foreignKeyConstraintName: '${jc.foreignKeyConstraintName}'`
+          : ""
+      } }`;
+    out.push("        joinTable: {");
+    out.push(`          name: '${name}',`);
+    if (schema) out.push(`          schema: '${schema}',`);
+    out.push(`          joinColumn: ${col(joinColumn)},`);
+    out.push(`          inverseJoinColumn: ${col(inverseJoinColumn)},`);
+    out.push("        },");
+  } else if (r.relType === "many-to-many" && r.isOwner) {
     out.push("        joinTable: true,");
   }
 
-  if (r.relType === "many-to-one" || r.relType === "one-to-one") {
+  if (r.relType !== "one-to-many") {
     if (r.onDelete) out.push(`        onDelete: '${r.onDelete}',`);
     if (r.onUpdate) out.push(`        onUpdate: '${r.onUpdate}',`);
   }
@@ -247,46 +1109,413 @@ function printRelation(r) {
   return out.join("\n");
 }
 
-function convertSchemas(filesInput) {
+/**
+ * @typedef {import("./diagnostics").SourceLocation} SourceLocation
+ */
+
+/**
+ * A column as TypeORM column options (`type`, `length`, `nullable`,
+ * `primary`, `generated`, `default`, ...) where `default` is a quoted JS
+ * string, a number or boolean, or `{ raw }` SQL, and `transformer` names a
+ * lib/typings.js transformer. `references*` describe a `.references()`.
+ *
+ * @typedef {Object} ColumnModel
+ * @property {string} type
+ * @property {boolean} nullable
+ * @property {string} [name] - Database name when it differs from the key
+ * @property {string} [referencesEntity]
+ * @property {string} [referencesColumn]
+ * @property {SourceLocation} [location]
+ */
+
+/**
+ * @typedef {Object} RelationModel
+ * @property {string} fromEntity
+ * @property {string} localName - Property on `fromEntity`
+ * @property {string} toEntity
+ * @property {"many-to-one" | "one-to-many" | "one-to-one" | "many-to-many"} relType
+ * @property {string | null} inverseSide
+ * @property {boolean} [isOwner]
+ * @property {string[]} [fields] - Columns holding the foreign key
+ * @property {string} [joinColumnName]
+ * @property {{ name: string, referencedColumnName: string }[]} [joinColumns]
+ * @property {{ name: string, schema?: string, joinColumn: object, inverseJoinColumn: object }} [joinTable]
+ * @property {string} [onDelete]
+ * @property {string} [onUpdate]
+ * @property {SourceLocation} [location]
+ */
+
+/**
+ * A table or view. Columns are keyed by property name, and `indices`,
+ * `uniques` and `foreignKeys` refer to columns by that key. `junction`
+ * marks a table folded into a many-to-many joinTable, which is not emitted.
+ *
+ * @typedef {Object} EntityModel
+ * @property {string} tableName
+ * @property {string} dialect - pg, mysql or sqlite
+ * @property {string} [schema]
+ * @property {{ expression?: string, materialized: boolean, existing: boolean }} [view]
+ * @property {boolean} [junction]
+ * @property {string} file - Source file, the output is written next to it
+ * @property {SourceLocation} [location]
+ * @property {Record<string, ColumnModel>} columns
+ * @property {RelationModel[]} relations
+ * @property {{ name: string, columns: string[], elements: object[], unique: boolean, location?: SourceLocation }[]} indices
+ * @property {{ name?: string, columns: string[] }[]} uniques
+ * @property {{ name: string, expression: string }[]} checks
+ * @property {{ name?: string, columns: string[], toEntity: string, referencedColumns: string[], onDelete?: string, onUpdate?: string, location?: SourceLocation }[]} foreignKeys
+ */
+
+/**
+ * The parsed schema. It is plain JSON-serialisable data.
+ *
+ * @typedef {Object} SchemaModel
+ * @property {Record<string, EntityModel>} entities - By entity name
+ * @property {Record<string, { name: string, values: string[], schema?: string, location?: SourceLocation }>} enums
+ *   pgEnums by variable name
+ * @property {import("./diagnostics").Diagnostic[]} diagnostics
+ */
+
+/**
+ * Table-level foreign keys become the join columns of the relation over the
+ * same fields, or of a relation made up for them. Unnamed ones get the name
+ * Drizzle gives them. Column `.references()` no relation stands for get a
+ * relation made up the same way.
+ *
+ * @param {Record<string, EntityModel>} entityData
+ * @param {ReturnType<typeof createDiagnostics>} diagnostics
+ */
+function relateForeignKeys(entityData, diagnostics) {
+  Object.entries(entityData).forEach(([entity, data]) => {
+    const columnReferences = Object.entries(data.columns)
+      .filter(([, col]) => entityData[col.referencesEntity])
+      .map(([key, col]) => ({
+        columns: [key],
+        toEntity: col.referencesEntity,
+        referencedColumns: [col.referencesColumn],
+        onDelete: col.onDelete,
+        onUpdate: col.onUpdate,
+        location: col.location,
+        column: true,
+      }));
+    [...data.foreignKeys, ...columnReferences].forEach((fk) => {
+      const sameFields = (r) =>
+        r.fields?.length === fk.columns.length &&
+        r.fields.every((f) => fk.columns.includes(f));
+      let relation = data.relations.find(
+        (r) =>
+          r.toEntity === fk.toEntity &&
+          (r.relType === "many-to-one" || r.relType === "one-to-one") &&
+          sameFields(r)
+      );
+      // The relation over the column already carries its foreign key
+      if (
+        fk.column &&
+        (relation ||
+          data.relations.some(
+            (r) =>
+              r.toEntity === fk.toEntity &&
+              r.joinColumnName ===
+                (data.columns[fk.columns[0]].name ?? fk.columns[0])
+          ))
+      )
+        return;
+      if (!relation) {
+        // `parentId` -> `parent`, otherwise named after the target entity
+        const [single] = fk.columns.length === 1 ? fk.columns : [];
+        let localName =
+          single && /.(Id|_id)$/.test(single)
+            ? single.replace(/(Id|_id)$/, "")
+            : fk.toEntity[0].toLowerCase() + fk.toEntity.slice(1);
+        while (
+          data.columns[localName] ||
+          data.relations.some((r) => r.localName === localName)
+        )
+          localName += "Ref";
+        relation = {
+          fromEntity: entity,
+          localName,
+          toEntity: fk.toEntity,
+          relType: "many-to-one",
+          inverseSide: null,
+          fields: fk.columns,
+          location: fk.location,
+        };
+        data.relations.push(relation);
+        diagnostics.info(
+          "FOREIGN_KEY_RELATION",
+          fk.location,
+          `Foreign key of ${entity} has no matching relation, emitted as relation ${localName}`
+        );
+      }
+      relation.joinColumns = fk.columns.map((c, i) => ({
+        name: data.columns[c]?.name ?? c,
+        referencedColumnName: fk.referencedColumns[i],
+      }));
+      const target = entityData[fk.toEntity];
+      fk.name ??= foreignKeyName(
+        data.tableName,
+        fk.columns.map((c) => data.columns[c]?.name ?? c),
+        target.tableName,
+        fk.referencedColumns.map((c) => target.columns[c]?.name ?? c)
+      );
+      relation.foreignKeyName = fk.name;
+      relation.onDelete ??= fk.onDelete;
+      relation.onUpdate ??= fk.onUpdate;
+    });
+  });
+}
+
+/**
+ * Renames columns and relations from their Drizzle key to the property the
+ * `property` naming strategy gives, along with everything referring to them.
+ *
+ * @param {Record<string, EntityModel>} entityData
+ * @param {ReturnType<typeof createNaming>} naming
+ */
+function applyPropertyNaming(entityData, naming) {
+  Object.values(entityData).forEach((data) => {
+    data.columns = Object.fromEntries(
+      Object.entries(data.columns).map(([key, col]) => {
+        const prop = naming.property(key);
+        if (prop !== key) {
+          col.name ??= key;
+          if (col.name === prop) delete col.name;
+        }
+        if (col.referencesColumn)
+          col.referencesColumn = naming.property(col.referencesColumn);
+        return [prop, col];
+      })
+    );
+    [...data.indices, ...data.uniques].forEach((ix) => {
+      ix.columns = ix.columns.map((c) => naming.property(c));
+      ix.elements?.forEach((el) => {
+        if (el.column) el.column = naming.property(el.column);
+      });
+    });
+    data.foreignKeys.forEach((fk) => {
+      fk.columns = fk.columns.map((c) => naming.property(c));
+      fk.referencedColumns = fk.referencedColumns.map((c) =>
+        naming.property(c)
+      );
+    });
+    data.relations.forEach((r) => {
+      r.localName = naming.property(r.localName);
+      if (r.inverseSide) r.inverseSide = naming.property(r.inverseSide);
+      [
+        ...(r.joinColumns ?? []),
+        ...(r.joinTable
+          ? [r.joinTable.joinColumn, r.joinTable.inverseJoinColumn]
+          : []),
+      ].forEach((jc) => {
+        jc.referencedColumnName = naming.property(jc.referencedColumnName);
+      });
+    });
+  });
+}
+
+/**
+ * Parses Drizzle schema sources into the entity model shared by the
+ * emitters, see `emitSchemas`.
+ *
+ * @param {{ fileName: string, content: string }[]} filesInput
+ * @param {{ dialect?: string, typeMap?: Record<string, string | object>, typeOverrides?: Record<string, string | object>, naming?: Record<string, string | Function>, rename?: Record<string, string>, excludeTables?: string[], junctionTables?: boolean, plugins?: import("./plugins").Plugin[], sourceFileCache?: Map<string, ts.SourceFile> }} [options]
+ *   `dialect` forces pg, mysql or sqlite instead of detecting it per file.
+ *   `typeMap` maps column builders, including customType() definitions, to a
+ *   TypeORM type or column options; `typeOverrides` does the same for single
+ *   `table.column` keys. `rename` and `excludeTables` are keyed by table or
+ *   variable name, `naming` is described in lib/naming.js. `junctionTables`
+ *   turns tables that only join two others into many-to-many joinTables.
+ *   `plugins` (lib/plugins.js) then transform the model. Passing the same
+ *   `sourceFileCache` to repeated calls skips re-parsing unchanged files
+ * @returns {SchemaModel} With `diagnostics` for everything that was not
+ *   converted
+ */
+function parseSchemas(filesInput, options = {}) {
+  if (options.dialect && !DIALECTS[options.dialect]) {
+    throw new Error(`❌ Unknown dialect: ${options.dialect}`);
+  }
+
+  // By-name lookups are the fallback when a reference cannot be resolved
+  // through the import graph, e.g. a table used without being imported
   const var2entity = {};
   const entity2file = {};
+  const enums = {};
+  const decl2entity = new Map();
+  const decl2enum = new Map();
+  const customTypes = {};
+  const decl2custom = new Map();
+  const excludedDecls = new Set();
+  const schemas = {};
+  const decl2schema = new Map();
   const entityData = {};
   const relationStubs = [];
-  const fileOutputMap = {};
+  const views = [];
+  const diagnostics = createDiagnostics();
+  const naming = createNaming(options.naming);
+  const {
+    typeMap = {},
+    typeOverrides = {},
+    rename = {},
+    excludeTables = [],
+  } = options;
+  const usedOverrides = new Set();
+  const { getSourceFile, resolveDeclaration } = createSchemaProgram(
+    filesInput,
+    options.sourceFileCache
+  );
 
-  filesInput.forEach(({ fileName, content }) => {
-    const src = ts.createSourceFile(
-      fileName,
-      content,
-      ts.ScriptTarget.Latest,
-      true
-    );
-    src.forEachChild((n) => {
+  const resolveEntity = (node) =>
+    decl2entity.get(resolveDeclaration(node)) ??
+    (ts.isIdentifier(node) ? var2entity[node.escapedText] : undefined);
+  const resolveEnum = (node) =>
+    decl2enum.get(resolveDeclaration(node)) ??
+    (ts.isIdentifier(node) ? enums[node.escapedText] : undefined);
+  const resolveCustomType = (node) =>
+    decl2custom.get(resolveDeclaration(node)) ??
+    (ts.isIdentifier(node) ? customTypes[node.escapedText] : undefined);
+  const isExcluded = (node) => excludedDecls.has(resolveDeclaration(node));
+  const resolveSchema = (node) =>
+    decl2schema.get(resolveDeclaration(node)) ??
+    (ts.isIdentifier(node) ? schemas[node.escapedText] : undefined);
+  // `auth.table(...)` -> "auth" when `const auth = pgSchema("auth")`
+  const schemaOf = (call) =>
+    ts.isPropertyAccessExpression(call.expression)
+      ? resolveSchema(call.expression.expression)
+      : undefined;
+  const columnCtx = (dialect) => ({
+    dialect,
+    format: options.format,
+    enums,
+    typeMap,
+    resolveEnum,
+    resolveCustomType,
+    resolveEntity,
+    diagnostics,
+  });
+
+  /**
+   * Table or view a declaration initializes, with `call` being the builder
+   * call that takes its name and columns.
+   */
+  const sourceOf = (init) => {
+    if (!init || !ts.isCallExpression(init)) return undefined;
+    const fn = calleeName(init);
+    if (dialectForTableFn(fn))
+      return { call: init, dialect: dialectForTableFn(fn) };
+    if (fn === "table" && schemaOf(init))
+      return { call: init, dialect: "pg", schema: schemaOf(init) };
+
+    // Views are configured by a chain, e.g. `pgView("name").as(...)`
+    const { root } = splitChain(init);
+    const viewFn = calleeName(root);
+    const viewDialect = dialectForViewFn(viewFn);
+    if (viewDialect)
+      return {
+        call: root,
+        dialect: viewDialect,
+        view: true,
+        materialized: DIALECTS[viewDialect].viewFns[viewFn],
+      };
+    if ((viewFn === "view" || viewFn === "materializedView") && schemaOf(root))
+      return {
+        call: root,
+        dialect: "pg",
+        schema: schemaOf(root),
+        view: true,
+        materialized: viewFn === "materializedView",
+      };
+    return undefined;
+  };
+
+  // Schemas first, tables and enums of any file may be declared on them
+  filesInput.forEach(({ fileName }) => {
+    getSourceFile(fileName).forEachChild((n) => {
       if (!ts.isVariableStatement(n)) return;
       n.declarationList.declarations.forEach((d) => {
+        const init = d.initializer;
         if (
-          d.initializer &&
-          ts.isCallExpression(d.initializer) &&
-          d.initializer.expression.getText() === "pgTable"
+          init &&
+          ts.isCallExpression(init) &&
+          calleeName(init) === DIALECTS.pg.schemaFn &&
+          isStr(init.arguments[0])
         ) {
-          const [tblArg] = d.initializer.arguments;
-          const ent = isStr(tblArg)
-            ? snakeToPascal(tblArg.text)
-            : pascal(d.name.escapedText);
+          schemas[d.name.escapedText] = init.arguments[0].text;
+          decl2schema.set(d, init.arguments[0].text);
+        }
+      });
+    });
+  });
+
+  filesInput.forEach(({ fileName }) => {
+    const src = getSourceFile(fileName);
+    src.forEachChild((n) => {
+      if (!ts.isVariableStatement(n)) return;
+      n.declarationList.declarations.forEach((d) => {
+        const pgEnum = readPgEnum(d.initializer, diagnostics, schemaOf);
+        if (pgEnum) {
+          enums[d.name.escapedText] = pgEnum;
+          decl2enum.set(d, pgEnum);
+        }
+
+        const customType = readCustomType(d.initializer);
+        if (customType) {
+          customTypes[d.name.escapedText] = customType;
+          decl2custom.set(d, customType);
+        } else if (customType === null) {
+          diagnostics.warn(
+            "UNSUPPORTED_CUSTOM_TYPE",
+            d.initializer,
+            `dataType() of ${d.name.escapedText} is not a string literal, map it with the typeMap option`
+          );
+        }
+
+        const source = sourceOf(d.initializer);
+        if (source) {
+          const [tblArg] = source.call.arguments;
+          const tableName = isStr(tblArg) ? tblArg.text : undefined;
+          const varName = d.name.escapedText;
+          if (
+            excludeTables.includes(tableName) ||
+            excludeTables.includes(varName)
+          ) {
+            excludedDecls.add(d);
+            diagnostics.info(
+              "TABLE_EXCLUDED",
+              d.name,
+              `${source.view ? "View" : "Table"} ${
+                tableName ?? varName
+              } is excluded by configuration`
+            );
+            return;
+          }
+          let ent =
+            rename[tableName] ??
+            rename[varName] ??
+            naming.entity(tableName, varName);
+          if (entity2file[ent]) {
+            const prefixed =
+              snakeToPascal(
+                path.basename(fileName, ".ts").replace(/\W/g, "_")
+              ) + ent;
+            diagnostics.info(
+              "ENTITY_NAME_COLLISION",
+              d.name,
+              `Entity ${ent} is already declared in ${entity2file[ent]}, renamed to ${prefixed}`
+            );
+            ent = prefixed;
+          }
           var2entity[d.name.escapedText] = ent;
+          decl2entity.set(d, ent);
           entity2file[ent] = fileName;
         }
       });
     });
   });
 
-  filesInput.forEach(({ fileName, content }) => {
-    const src = ts.createSourceFile(
-      fileName,
-      content,
-      ts.ScriptTarget.Latest,
-      true
-    );
+  filesInput.forEach(({ fileName }) => {
+    const src = getSourceFile(fileName);
+    const fileDialect = options.dialect ?? detectDialect(src);
 
     src.forEachChild((n) => {
       if (!ts.isVariableStatement(n)) return;
@@ -295,125 +1524,332 @@ function convertSchemas(filesInput) {
         const init = d.initializer;
         if (!init || !ts.isCallExpression(init)) return;
 
-        if (init.expression.escapedText === "pgTable") {
+        const source = sourceOf(init);
+        if (source?.view && !excludedDecls.has(d)) {
+          views.push({
+            d,
+            init,
+            source,
+            dialect: fileDialect ?? source.dialect,
+          });
+        }
+        if (source && !source.view && !excludedDecls.has(d)) {
+          const dialect = fileDialect ?? source.dialect;
           const tableVar = d.name.escapedText;
           const tblStr = init.arguments[0];
           const tableName = isStr(tblStr) ? tblStr.text : null;
           const columns = {};
+          if (!tableName)
+            diagnostics.warn(
+              "UNSUPPORTED_TABLE_NAME",
+              tblStr ?? init,
+              `Table name of ${tableVar} is not a string literal`
+            );
 
-          const entName = var2entity[tableVar];
+          const entName = decl2entity.get(d);
           entityData[entName] ??= {
             tableName,
+            dialect,
+            schema: source.schema,
+            file: fileName,
+            location: locate(d.name),
             columns,
             relations: [],
             indices: [],
+            uniques: [],
+            checks: [],
+            foreignKeys: [],
           };
 
-          const colObj = init.arguments[1];
+          // `{ ... }` or `(t) => ({ ... })` with builders taken from `t`
+          const colArg = init.arguments[1];
+          const colObj = isObj(colArg) ? colArg : returnedExpression(colArg);
+          const deferred = [];
           if (isObj(colObj)) {
             colObj.properties.forEach((p) => {
-              if (!ts.isPropertyAssignment(p)) return;
-              columns[p.name.escapedText] = getColumn(
-                p.initializer,
-                p.name.escapedText
-              );
+              if (!ts.isPropertyAssignment(p) || !ts.isIdentifier(p.name)) {
+                diagnostics.warn(
+                  "UNSUPPORTED_COLUMN",
+                  p,
+                  `Columns of ${tableVar} must be plain property assignments`
+                );
+                return;
+              }
+              const key = p.name.text;
+              const col = getColumn(p.initializer, key, {
+                ...columnCtx(dialect),
+                deferred,
+              });
+              // TypeORM cannot name a column-level unique constraint, and
+              // would hash one otherwise
+              if (col.unique) {
+                entityData[entName].uniques.push({
+                  name:
+                    col.uniqueName ?? uniqueName(tableName, [col.name ?? key]),
+                  columns: [key],
+                });
+                delete col.unique;
+                delete col.uniqueName;
+              }
+              const override = typeOverrides[`${tableName}.${key}`];
+              if (override) {
+                usedOverrides.add(`${tableName}.${key}`);
+                Object.assign(
+                  col,
+                  typeof override === "string" ? { type: override } : override
+                );
+              }
+              col.location = locate(p);
+              columns[key] = col;
             });
+          } else {
+            diagnostics.warn(
+              "UNSUPPORTED_TABLE_COLUMNS",
+              colObj ?? init,
+              `Columns of ${tableVar} are not an object literal or a function returning one`
+            );
           }
+          deferred.forEach((resolve) => resolve(columns));
 
+          // Extra config returns an array of constraints, or in the older
+          // form an object whose keys name them
           const pkFactory = init.arguments[2];
-          if (pkFactory && ts.isArrowFunction(pkFactory)) {
-            const pkArr = pkFactory.body;
-            if (isArr(pkArr)) {
-              pkArr.elements.forEach((e) => {
-                if (!ts.isCallExpression(e)) return;
-
-                if (e.expression.escapedText === "primaryKey") {
-                  const [pkObj] = e.arguments;
-                  if (isObj(pkObj)) {
-                    pkObj.properties.forEach((p) => {
-                      if (
-                        ts.isPropertyAssignment(p) &&
-                        p.name.escapedText === "columns" &&
-                        isArr(p.initializer)
-                      ) {
-                        p.initializer.elements.forEach((colEl) => {
-                          const colName = colEl.name?.escapedText;
-                          if (colName && columns[colName]) {
-                            Object.assign(columns[colName], {
-                              primary: true,
-                              nullable: false,
-                            });
-                          }
-                        });
-                      }
-                    });
-                  }
+          const pkRet = returnedExpression(pkFactory);
+          // Entries may be locals of a block body, `const idx = index(...)`
+          const deref = (e) =>
+            (ts.isIdentifier(e) && resolveDeclaration(e)?.initializer) || e;
+          const configEntries = isArr(pkRet)
+            ? pkRet.elements.map((e) => ({ e: deref(e) }))
+            : isObj(pkRet)
+            ? pkRet.properties.map((p) =>
+                ts.isPropertyAssignment(p)
+                  ? { e: deref(p.initializer), key: p.name.text }
+                  : { e: p }
+              )
+            : undefined;
+          if (pkFactory && !configEntries) {
+            diagnostics.warn(
+              "UNSUPPORTED_TABLE_CONFIG",
+              pkFactory,
+              `Extra config of ${tableVar} is not a function returning an array or object literal`
+            );
+          }
+          if (configEntries) {
+            configEntries.forEach(({ e, key: configKey }) => {
+              if (!ts.isCallExpression(e)) {
+                diagnostics.warn(
+                  "UNSUPPORTED_TABLE_CONFIG",
+                  e,
+                  `Entry in extra config of ${tableVar} is not converted`
+                );
+                return;
+              }
+
+              const { root: cfgRoot, chain } = splitChain(e);
+              const cfgFn = calleeName(cfgRoot);
+              const data = entityData[entName];
+
+              if (cfgFn === "primaryKey") {
+                // primaryKey({ name, columns }) or primaryKey(t.a, t.b)
+                const [pkObj] = cfgRoot.arguments;
+                const pkCols = propertyOf(pkObj, "columns");
+                const pkName = propertyOf(pkObj, "name");
+                columnKeys(
+                  isObj(pkObj)
+                    ? isArr(pkCols)
+                      ? pkCols.elements
+                      : []
+                    : cfgRoot.arguments
+                ).forEach((colName) => {
+                  if (!columns[colName]) return;
+                  Object.assign(columns[colName], {
+                    primary: true,
+                    nullable: false,
+                  });
+                  if (isStr(pkName))
+                    columns[colName].primaryKeyConstraintName = pkName.text;
+                });
+                return;
+              }
+
+              if (cfgFn === "unique") {
+                const [nameArg] = cfgRoot.arguments;
+                const uniqueColumns = chain
+                  .filter((c) => c.method === "on")
+                  .flatMap((c) => columnKeys(c.args));
+                data.uniques.push({
+                  name: isStr(nameArg)
+                    ? nameArg.text
+                    : uniqueName(
+                        data.tableName,
+                        uniqueColumns.map((c) => columns[c]?.name ?? c)
+                      ),
+                  columns: uniqueColumns,
+                });
+                return;
+              }
+
+              if (cfgFn === "check") {
+                const [nameArg, exprArg] = cfgRoot.arguments;
+                const expression = readSqlTemplate(exprArg, columns, dialect);
+                if (!isStr(nameArg) || expression === undefined) {
+                  diagnostics.warn(
+                    "UNSUPPORTED_CHECK",
+                    e,
+                    `Check of ${tableVar} needs a literal name and a sql\`\` expression interpolating only its columns`
+                  );
                   return;
                 }
+                data.checks.push({ name: nameArg.text, expression });
+                return;
+              }
 
-                const root = (() => {
-                  let c = e;
-                  while (
-                    ts.isCallExpression(c) &&
-                    ts.isPropertyAccessExpression(c.expression) &&
-                    c.expression.name.escapedText === "on"
-                  ) {
-                    c = c.expression.expression;
-                  }
-                  return c;
-                })();
-
+              if (cfgFn === "foreignKey") {
+                const [fkObj] = cfgRoot.arguments;
+                const fkCols = propertyOf(fkObj, "columns");
+                const foreignCols = propertyOf(fkObj, "foreignColumns");
+                const fkName = propertyOf(fkObj, "name");
+                const toNode =
+                  isArr(foreignCols) && foreignCols.elements[0]?.expression;
+                // The extra config parameter stands for the table itself
+                const toEntity =
+                  toNode &&
+                  (toNode.getText() === pkFactory.parameters[0]?.name.getText()
+                    ? entName
+                    : resolveEntity(toNode));
                 if (
-                  ts.isCallExpression(root) &&
-                  (root.expression.escapedText === "index" ||
-                    root.expression.escapedText === "uniqueIndex")
+                  !isArr(fkCols) ||
+                  !toEntity ||
+                  fkCols.elements.length !== foreignCols.elements.length
                 ) {
-                  const idxName = root.arguments[0]?.text;
-                  const unique = root.expression.escapedText === "uniqueIndex";
-                  const cols = [];
-                  let c = e;
-                  while (
-                    ts.isCallExpression(c) &&
-                    ts.isPropertyAccessExpression(c.expression) &&
-                    c.expression.name.escapedText === "on"
-                  ) {
-                    const arg = c.arguments[0];
-                    if (ts.isPropertyAccessExpression(arg))
-                      cols.push(arg.name.escapedText);
-                    c = c.expression.expression;
-                  }
-                  entityData[entName].indices.push({
-                    name: idxName,
-                    columns: cols,
-                    unique,
-                  });
+                  diagnostics.warn(
+                    "UNSUPPORTED_FOREIGN_KEY",
+                    e,
+                    `Foreign key of ${tableVar} must list columns and foreignColumns of a known table`
+                  );
+                  return;
                 }
-              });
-            }
+                const fk = {
+                  name: isStr(fkName) ? fkName.text : undefined,
+                  columns: columnKeys(fkCols.elements),
+                  toEntity,
+                  referencedColumns: columnKeys(foreignCols.elements),
+                  location: locate(e),
+                };
+                chain.forEach(({ method, args }) => {
+                  if (
+                    (method === "onDelete" || method === "onUpdate") &&
+                    isStr(args[0])
+                  )
+                    fk[method] = toReferentialAction(args[0].text);
+                });
+                data.foreignKeys.push(fk);
+                return;
+              }
+
+              if (cfgFn === "index" || cfgFn === "uniqueIndex") {
+                const index = readIndex(e, columns, {
+                  dialect,
+                  configKey,
+                  format: options.format,
+                  diagnostics,
+                });
+                if (index) data.indices.push(index);
+                return;
+              }
+
+              diagnostics.warn(
+                "UNSUPPORTED_TABLE_CONFIG",
+                e,
+                `Entry in extra config of ${tableVar} is not converted`
+              );
+            });
           }
         }
 
-        if (init.expression.escapedText === "relations") {
-          const fromVar = init.arguments[0]?.escapedText;
+        if (calleeName(init) === "relations") {
+          if (isExcluded(init.arguments[0])) return;
+          const fromVar = init.arguments[0]?.getText();
+          const fromEntity =
+            init.arguments[0] && resolveEntity(init.arguments[0]);
           const fn = init.arguments[1];
-          if (!ts.isArrowFunction(fn)) return;
+          if (!fromEntity) {
+            diagnostics.error(
+              "UNKNOWN_RELATION_SOURCE",
+              init.arguments[0] ?? init,
+              `relations() source ${
+                init.arguments[0]?.getText() ?? "(missing)"
+              } is not a known table`
+            );
+            return;
+          }
+          if (!fn || !ts.isFunctionLike(fn)) {
+            diagnostics.warn(
+              "UNSUPPORTED_RELATIONS",
+              fn ?? init,
+              `relations() of ${fromVar} must be a function`
+            );
+            return;
+          }
 
-          let body = fn.body;
-          if (isPar(body)) body = body.expression;
-          if (!isObj(body)) return;
+          const body = returnedExpression(fn) ?? fn;
+          if (!isObj(body)) {
+            diagnostics.warn(
+              "UNSUPPORTED_RELATIONS",
+              body,
+              `relations() of ${fromVar} must return an object literal`
+            );
+            return;
+          }
 
           body.properties.forEach((rp) => {
             if (
               !ts.isPropertyAssignment(rp) ||
               !ts.isCallExpression(rp.initializer)
-            )
+            ) {
+              diagnostics.warn(
+                "UNSUPPORTED_RELATION",
+                rp,
+                `Relation of ${fromVar} is not a one()/many() call`
+              );
               return;
+            }
 
             const localName = rp.name.escapedText;
             const call = rp.initializer;
             const kind = call.expression.escapedText;
-            const targVar = call.arguments[0]?.escapedText;
-            if (!targVar) return;
+            const targArg = call.arguments[0];
+            const targVar =
+              targArg &&
+              (ts.isIdentifier(targArg) ||
+                ts.isPropertyAccessExpression(targArg))
+                ? targArg.getText()
+                : undefined;
+            if (!targVar) {
+              diagnostics.warn(
+                "UNSUPPORTED_RELATION",
+                call,
+                `Target of relation ${localName} is not an identifier`
+              );
+              return;
+            }
+            if (isExcluded(targArg)) {
+              diagnostics.info(
+                "TABLE_EXCLUDED",
+                targArg,
+                `Relation ${localName} targets an excluded table and is dropped`
+              );
+              return;
+            }
+            const targEntity = resolveEntity(targArg);
+            if (!targEntity)
+              diagnostics.warn(
+                "UNRESOLVED_RELATION_TARGET",
+                targArg,
+                `Relation ${localName} targets unknown table ${targVar}, guessed entity ${pascal(
+                  targVar
+                )}`
+              );
 
             let relType;
             if (kind === "many") {
@@ -433,71 +1869,57 @@ function convertSchemas(filesInput) {
             } else if (kind === "oneToOne") {
               relType = "one-to-one";
             } else {
+              diagnostics.warn(
+                "UNKNOWN_RELATION_KIND",
+                call.expression,
+                `Unknown relation helper ${kind} for ${localName}, treated as many-to-one`
+              );
               relType = "many-to-one";
             }
 
             const relation = {
-              fromEntity: var2entity[fromVar],
+              fromEntity,
               fromVar,
               localName,
-              toEntity: var2entity[targVar] || pascal(targVar || ""),
+              toEntity: targEntity || pascal(targVar || ""),
               toVar: targVar,
               relType,
               inverseSide: null,
               origKind: kind,
+              location: locate(rp),
             };
 
-            let fkPropName = null;
             const opts = call.arguments[1];
             if (isObj(opts)) {
               opts.properties.forEach((p) => {
-                if (!ts.isPropertyAssignment(p)) return;
+                if (
+                  !ts.isPropertyAssignment(p) ||
+                  !RELATION_OPTION_KEYS.includes(p.name.escapedText)
+                ) {
+                  diagnostics.warn(
+                    "UNSUPPORTED_OPTION",
+                    p,
+                    `Relation option ${
+                      p.name?.getText() ?? p.getText()
+                    } of ${localName} is not converted`
+                  );
+                  return;
+                }
                 const k = p.name.escapedText;
                 const v = p.initializer;
                 if (k === "relationName" && isStr(v))
                   relation.customName = v.text;
                 else if (k === "onDelete" && isStr(v))
-                  relation.onDelete = v.text;
-                if (k === "onUpdate" && isStr(v)) relation.onUpdate = v.text;
+                  relation.onDelete = toReferentialAction(v.text);
+                if (k === "onUpdate" && isStr(v))
+                  relation.onUpdate = toReferentialAction(v.text);
                 if (k === "cascade" && v.kind === ts.SyntaxKind.TrueKeyword)
                   relation.cascade = true;
-                if (k === "fields" && isArr(v) && v.elements.length) {
-                  const el = v.elements[0];
-                  if (ts.isPropertyAccessExpression(el))
-                    fkPropName = el.name.escapedText;
-                }
+                if (k === "fields" && isArr(v) && v.elements.length)
+                  relation.fields = columnKeys(v.elements);
               });
             }
 
-            const toSnake = (s) =>
-              s.replace(/([a-z])([A-Z])/g, "$1_$2").toLowerCase();
-            let fk = fkPropName;
-            if (!fk) {
-              const targetCols = entityData[relation.toEntity]?.columns || {};
-              for (const [colName, col] of Object.entries(targetCols)) {
-                if (col.referencesVar === relation.fromVar) {
-                  fk = colName;
-                  break;
-                }
-              }
-            }
-            if (fk) {
-              relation.joinColumnName =
-                entityData[relation.fromEntity]?.columns?.[fk]?.name ||
-                entityData[relation.toEntity]?.columns?.[fk]?.name ||
-                toSnake(fk);
-            }
-
-            const col = entityData[relation.fromEntity]?.columns?.[fk];
-            if (col) {
-              if (col.onDelete && !relation.onDelete)
-                relation.onDelete = col.onDelete;
-              if (col.onUpdate && !relation.onUpdate)
-                relation.onUpdate = col.onUpdate;
-              if (col.cascade && !relation.cascade)
-                relation.cascade = col.cascade;
-            }
-
             relationStubs.push(relation);
           });
         }
@@ -505,10 +1927,247 @@ function convertSchemas(filesInput) {
     });
   });
 
+  // Views come last so that the tables they select from are parsed
+  views.forEach(({ d, init, source, dialect }) => {
+    const viewVar = d.name.escapedText;
+    const [nameArg, colArg] = source.call.arguments;
+    const { chain } = splitChain(init);
+    const as = chain.find((c) => c.method === "as");
+    const existing = chain.some((c) => c.method === "existing");
+    if (!isStr(nameArg)) {
+      diagnostics.warn(
+        "UNSUPPORTED_VIEW",
+        nameArg ?? init,
+        `View name of ${viewVar} is not a string literal, the view is not converted`
+      );
+      return;
+    }
+
+    const query =
+      as && readViewQuery(as.args[0], { dialect, entityData, resolveEntity });
+    if (!existing && (!query || query.unsupported)) {
+      diagnostics.warn(
+        "UNSUPPORTED_VIEW_QUERY",
+        query?.unsupported ?? init,
+        `Query of view ${viewVar} is not a sql\`\` template or a query builder over known tables, the view is not converted`
+      );
+      return;
+    }
+
+    // Declared columns win over the ones a query builder selects
+    let columns = query?.columns;
+    if (isObj(colArg)) {
+      columns = {};
+      colArg.properties.forEach((p) => {
+        if (ts.isPropertyAssignment(p) && ts.isIdentifier(p.name))
+          columns[p.name.text] = {
+            ...getColumn(p.initializer, p.name.text, columnCtx(dialect)),
+            location: locate(p),
+          };
+      });
+    }
+    if (!columns) {
+      diagnostics.warn(
+        "UNSUPPORTED_VIEW",
+        init,
+        `View ${viewVar} declares no columns and its query selects none, the view is not converted`
+      );
+      return;
+    }
+
+    if (source.materialized && options.format !== "decorators") {
+      diagnostics.warn(
+        "MATERIALIZED_VIEW",
+        init,
+        `EntitySchema cannot mark view ${nameArg.text} as materialized, it is emitted as a plain view`
+      );
+    }
+
+    entityData[decl2entity.get(d)] = {
+      tableName: nameArg.text,
+      dialect,
+      schema: source.schema,
+      file: entity2file[decl2entity.get(d)],
+      location: locate(d.name),
+      view: {
+        expression: query?.expression,
+        materialized: !!source.materialized,
+        existing,
+      },
+      columns,
+      relations: [],
+      indices: [],
+      uniques: [],
+      checks: [],
+      foreignKeys: [],
+    };
+  });
+
+  /**
+   * The two ends of a junction table, whose only columns are a composite
+   * primary key of two single-column foreign keys.
+   */
+  const junctionEnds = (data) => {
+    const keys = Object.keys(data.columns);
+    if (
+      data.view ||
+      keys.length !== 2 ||
+      !keys.every((k) => data.columns[k].primary)
+    )
+      return undefined;
+    const ends = keys.map((key) => {
+      const col = data.columns[key];
+      const fk = data.foreignKeys.find(
+        (f) => f.columns.length === 1 && f.columns[0] === key
+      );
+      const toEntity = fk?.toEntity ?? col.referencesEntity;
+      const target = entityData[toEntity];
+      const referencedColumnName =
+        fk?.referencedColumns[0] ?? col.referencesColumn;
+      if (!target || !referencedColumnName) return undefined;
+      return {
+        toEntity,
+        column: {
+          name: col.name ?? key,
+          referencedColumnName,
+          foreignKeyConstraintName:
+            fk?.name ??
+            foreignKeyName(
+              data.tableName,
+              [col.name ?? key],
+              target.tableName,
+              [
+                target.columns[referencedColumnName]?.name ??
+                  referencedColumnName,
+              ]
+            ),
+        },
+        onDelete: fk ? fk.onDelete : col.onDelete,
+        onUpdate: fk ? fk.onUpdate : col.onUpdate,
+      };
+    });
+    return ends.every(Boolean) ? ends : undefined;
+  };
+
+  /**
+   * Replaces the `many()` relations pointing at a junction table with a
+   * many-to-many whose joinTable is that table. The junction entity stays
+   * in entityData, marked `junction`, so migrations still create its table.
+   */
+  const collapseJunction = (junction, data) => {
+    const ends = junctionEnds(data);
+    if (!ends) return;
+    const incoming = Object.values(entityData)
+      .filter((d) => d !== data)
+      .flatMap((d) => d.relations)
+      .filter((r) => r.toEntity === junction);
+    const sides = [];
+    ends.forEach((end, i) => {
+      const relation = incoming.find(
+        (r) =>
+          r.fromEntity === end.toEntity &&
+          r.relType === "one-to-many" &&
+          !sides.some((s) => s.relation === r)
+      );
+      if (relation) sides.push({ relation, end, other: ends[1 - i] });
+    });
+    // Anything else relating to the junction table needs its entity
+    if (!sides.length || incoming.length !== sides.length) return;
+
+    const [owner, inverse] = sides;
+    // TypeORM gives the joinColumn foreign key the owner's actions, CASCADE
+    // when unset, and the inverseJoinColumn one the inverse side's
+    if (
+      !inverse &&
+      (owner.other.onDelete ?? "CASCADE") +
+        (owner.other.onUpdate ?? "CASCADE") !==
+        "CASCADECASCADE"
+    )
+      diagnostics.warn(
+        "JUNCTION_ACTION",
+        [...decl2entity].find(([, e]) => e === junction)?.[0].name,
+        `Junction table ${data.tableName} has no relation from ${owner.other.toEntity}, its foreign key to it is emitted with onDelete and onUpdate CASCADE`
+      );
+    const replace = ({ relation }, replacement) => {
+      const rels = entityData[relation.fromEntity].relations;
+      rels[rels.indexOf(relation)] = replacement;
+    };
+    replace(owner, {
+      fromEntity: owner.end.toEntity,
+      localName: owner.relation.localName,
+      toEntity: owner.other.toEntity,
+      relType: "many-to-many",
+      inverseSide: inverse?.relation.localName ?? null,
+      isOwner: true,
+      onDelete: owner.end.onDelete ?? "NO ACTION",
+      onUpdate: owner.end.onUpdate ?? "NO ACTION",
+      joinTable: {
+        name: data.tableName,
+        schema: data.schema,
+        joinColumn: owner.end.column,
+        inverseJoinColumn: owner.other.column,
+      },
+    });
+    if (inverse) {
+      replace(inverse, {
+        fromEntity: inverse.end.toEntity,
+        localName: inverse.relation.localName,
+        toEntity: owner.end.toEntity,
+        relType: "many-to-many",
+        inverseSide: owner.relation.localName,
+        onDelete: owner.other.onDelete,
+        onUpdate: owner.other.onUpdate,
+      });
+    }
+    data.junction = true;
+    diagnostics.info(
+      "JUNCTION_TABLE",
+      [...decl2entity].find(([, e]) => e === junction)?.[0].name,
+      `Junction table ${data.tableName} is emitted as the joinTable of ${owner.end.toEntity}.${owner.relation.localName}`
+    );
+  };
+
+  // Join columns once every table is known, relations() may come first
+  relationStubs.forEach((relation) => {
+    let fk = relation.fields?.[0];
+    if (!fk) {
+      const targetCols = entityData[relation.toEntity]?.columns || {};
+      for (const [colName, col] of Object.entries(targetCols)) {
+        if (col.referencesEntity === relation.fromEntity) {
+          fk = colName;
+          break;
+        }
+      }
+    }
+    if (fk) {
+      relation.joinColumnName =
+        entityData[relation.fromEntity]?.columns?.[fk]?.name ||
+        entityData[relation.toEntity]?.columns?.[fk]?.name ||
+        naming.joinColumn(fk);
+    }
+
+    const col = entityData[relation.fromEntity]?.columns?.[fk];
+    const target = entityData[col?.referencesEntity];
+    // The .references() the relation stands for
+    if (target && col.referencesEntity === relation.toEntity)
+      relation.foreignKeyName = foreignKeyName(
+        entityData[relation.fromEntity].tableName,
+        [col.name ?? fk],
+        target.tableName,
+        [target.columns[col.referencesColumn]?.name ?? col.referencesColumn]
+      );
+    if (col) {
+      if (col.onDelete && !relation.onDelete) relation.onDelete = col.onDelete;
+      if (col.onUpdate && !relation.onUpdate) relation.onUpdate = col.onUpdate;
+      if (col.cascade && !relation.cascade) relation.cascade = col.cascade;
+    }
+  });
+
   relationStubs.forEach((r1) => {
     if (r1.inverseSide) return;
     const r2 = relationStubs.find(
       (x) =>
+        x !== r1 &&
         x.fromEntity === r1.toEntity &&
         x.toEntity === r1.fromEntity &&
         !x.inverseSide
@@ -533,16 +2192,82 @@ function convertSchemas(filesInput) {
     if (!rels.some((x) => x.localName === r.localName)) rels.push(r);
   });
 
+  relateForeignKeys(entityData, diagnostics);
+
+  if (options.junctionTables) {
+    Object.entries(entityData).forEach(([junction, data]) =>
+      collapseJunction(junction, data)
+    );
+  }
+
+  Object.keys(typeOverrides)
+    .filter((k) => !usedOverrides.has(k))
+    .forEach((k) =>
+      diagnostics.warn(
+        "UNUSED_TYPE_OVERRIDE",
+        undefined,
+        `Type override ${k} matches no table column`
+      )
+    );
+
+  // Columns and relations keep their Drizzle key until here, since relation
+  // fields, indexes and references all point at columns by that key
+  applyPropertyNaming(entityData, naming);
+
+  return applyModelPlugins(
+    { entities: entityData, enums, diagnostics: diagnostics.list },
+    options.plugins
+  );
+}
+
+/**
+ * `import type` lines for the entity types of other files that relations
+ * of the given entities point to.
+ */
+const printTypeImports = (fileEntities, tsFile, entity2file) => {
+  const imported = {};
+  fileEntities.forEach(([, data]) =>
+    data.relations.forEach((r) => {
+      const targetFile = entity2file[r.toEntity];
+      if (!targetFile || targetFile === tsFile) return;
+      (imported[targetFile] ??= new Set()).add(r.toEntity);
+    })
+  );
+  return Object.entries(imported).map(
+    ([file, names]) =>
+      `import type { ${[...names].sort().join(", ")} } from '${moduleSpecifier(
+        tsFile,
+        file
+      )}';`
+  );
+};
+
+/**
+ * EntitySchema modules (cjs, esm or ts) of the entities, one per source file,
+ * with `declarations` a `.d.ts` next to each cjs or esm module.
+ */
+function emitEntitySchemas(entityData, entity2file, format, declarations) {
+  const fileOutputMap = {};
+
   Object.entries(entityData).forEach(([entity, data]) => {
+    if (data.junction) return;
     const out = [];
     out.push(`${entity}: new EntitySchema({`);
     out.push(`    name: '${entity}',`);
     out.push(`    tableName: '${data.tableName}',`);
+    if (data.schema) out.push(`    schema: '${data.schema}',`);
+    if (data.view) {
+      out.push("    type: 'view',");
+      if (data.view.expression !== undefined)
+        out.push(`    expression: ${templateLiteral(data.view.expression)},`);
+      // `.existing()` views are managed outside of Drizzle
+      if (data.view.existing) out.push("    synchronize: false,");
+    }
     out.push("    columns: {");
     Object.entries(data.columns).forEach(([col, cfg]) => {
       out.push(`      ${col}: {`);
       ORDER.forEach((k) => {
-        if (k === "length" && cfg.type === "enum") return;
+        if (k === "length" && isEnumType(cfg.type)) return;
         if (cfg[k] === undefined) return;
         const line = printColumnField(k, cfg[k], cfg);
         if (line) out.push(line);
@@ -560,10 +2285,47 @@ function convertSchemas(filesInput) {
     if (data.indices?.length) {
       out.push("    indices: [");
       data.indices.forEach((ix) => {
+        const opts = [
+          ix.unique && "unique: true",
+          ix.spatial && "spatial: true",
+          ix.fulltext && "fulltext: true",
+          ix.where && `where: ${quote(ix.where)}`,
+        ].filter(Boolean);
+        // Without columns, which TypeORM cannot express
+        if (ix.synchronize === false) {
+          out.push(
+            `      { name: '${ix.name}', synchronize: false${opts
+              .map((o) => `, ${o}`)
+              .join("")} },`
+          );
+          return;
+        }
         out.push(
           `      { name: '${ix.name}', columns: [${ix.columns
             .map((c) => `'${c}'`)
-            .join(", ")}]${ix.unique ? ", unique: true" : ""} },`
+            .join(", ")}]${opts.map((o) => `, ${o}`).join("")} },`
+        );
+      });
+      out.push("    ],");
+    }
+
+    if (data.uniques.length) {
+      out.push("    uniques: [");
+      data.uniques.forEach((uq) => {
+        out.push(
+          `      { ${
+            uq.name ? `name: '${uq.name}', ` : ""
+          }columns: [${uq.columns.map((c) => `'${c}'`).join(", ")}] },`
+        );
+      });
+      out.push("    ],");
+    }
+
+    if (data.checks.length) {
+      out.push("    checks: [");
+      data.checks.forEach((ck) => {
+        out.push(
+          `      { name: '${ck.name}', expression: ${quote(ck.expression)} },`
         );
       });
       out.push("    ],");
@@ -578,26 +2340,85 @@ function convertSchemas(filesInput) {
 
   const filesOutput = {};
   for (const [tsFile, schemas] of Object.entries(fileOutputMap)) {
-    const outFile = tsFile.replace(/\.ts$/, ".js");
+    const outFile = tsFile.replace(/\.ts$/, OUTPUT_EXTENSIONS[format]);
+    const fileEntities = Object.entries(entityData).filter(([entity]) =>
+      fileOutputMap[tsFile]?.some((s) => s.includes(`name: '${entity}'`))
+    );
+
+    // Entity types of other modules, as a JSDoc `import()` type
+    const typeRef = (name) => {
+      const targetFile = entity2file[name];
+      if (!targetFile || targetFile === tsFile) return name;
+      const spec = moduleSpecifier(tsFile, targetFile);
+      return `import('${format === "esm" ? `${spec}.js` : spec}').${name}`;
+    };
+
+    if (declarations && format !== "ts") {
+      filesOutput[outFile.replace(/\.js$/, ".d.ts")] = [
+        "import { EntitySchema } from 'typeorm';",
+        ...printTypeImports(fileEntities, tsFile, entity2file),
+        "",
+        ...fileEntities.map(
+          ([entity, data]) => `${printInterface(entity, data)}\n`
+        ),
+        ...fileEntities.map(
+          ([entity]) =>
+            `export declare const ${entity}: EntitySchema<${entity}>;`
+        ),
+        "",
+      ].join("\n");
+    }
+
+    if (format === "esm") {
+      filesOutput[outFile] = [
+        "import { EntitySchema } from 'typeorm';",
+        "",
+        ...fileEntities.map(([entity, data]) =>
+          printTypedef(entity, data, typeRef)
+        ),
+        "",
+        schemas
+          .map((s) =>
+            asExportedSchema(
+              s,
+              (name) =>
+                `/** @type {import('typeorm').EntitySchema<${name}>} */\nexport const ${name} = new EntitySchema(`
+            )
+          )
+          .join("\n\n"),
+        "",
+      ].join("\n");
+      continue;
+    }
+
+    if (format === "ts") {
+      filesOutput[outFile] = [
+        "import { EntitySchema } from 'typeorm';",
+        ...printTypeImports(fileEntities, tsFile, entity2file),
+        "",
+        ...fileEntities.map(
+          ([entity, data]) => `${printInterface(entity, data)}\n`
+        ),
+        schemas
+          .map((s) =>
+            asExportedSchema(
+              s,
+              (name) => `export const ${name} = new EntitySchema<${name}>(`
+            )
+          )
+          .join("\n\n"),
+        "",
+      ].join("\n");
+      continue;
+    }
+
     filesOutput[outFile] = [
       "const typeorm = require('typeorm');",
       "const { EntitySchema } = typeorm;",
       "",
-      ...Object.entries(entityData)
-        .filter(([entity]) =>
-          fileOutputMap[tsFile]?.some((s) => s.includes(`name: '${entity}'`))
-        )
-        .map(([entity, data]) => {
-          const fields = Object.entries(data.columns)
-            .map(([k, v]) => {
-              const jsType = v.enum
-                ? `'${v.enum.join("' | '")}'`
-                : JS_DOC_TYPE_MAP[v.type] || "any";
-              return ` * @property {${jsType}} ${k}`;
-            })
-            .join("\n");
-          return `/**\n * @typedef {Object} ${entity}\n${fields}\n */`;
-        }),
+      ...fileEntities.map(([entity, data]) =>
+        printTypedef(entity, data, typeRef)
+      ),
       "",
       "module.exports = {",
       schemas
@@ -618,6 +2439,65 @@ function convertSchemas(filesInput) {
   return filesOutput;
 }
 
+/**
+ * Emits TypeORM entity modules from a model returned by `parseSchemas`,
+ * which may have been changed since. Each entity is written to the output
+ * file of its `file`.
+ *
+ * @param {Pick<SchemaModel, "entities">} model
+ * @param {{ format?: string, declarations?: boolean, plugins?: import("./plugins").Plugin[] }} [options]
+ *   `declarations` adds a `.d.ts` with the entity interfaces next to each cjs
+ *   or esm module, `plugins` get the files through their `onEmit` hook
+ * @returns {Record<string, string>} Output file name to file content
+ */
+function emitSchemas({ entities }, options = {}) {
+  const { format = "cjs" } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`❌ Unknown output format: ${format}`);
+  }
+
+  const entity2file = Object.fromEntries(
+    Object.entries(entities).map(([entity, data]) => [entity, data.file])
+  );
+  const files =
+    format === "decorators"
+      ? emitDecoratorEntities(entities, entity2file)
+      : emitEntitySchemas(entities, entity2file, format, options.declarations);
+  return applyEmitPlugins(files, options.plugins, { format });
+}
+
+/**
+ * Converts Drizzle schema sources into TypeORM EntitySchema modules, that is
+ * `parseSchemas` followed by `emitSchemas`.
+ *
+ * @param {{ fileName: string, content: string }[]} filesInput
+ * @param {{ format?: string, dialect?: string, strict?: boolean } & Parameters<typeof parseSchemas>[1]} [options]
+ *   `strict` throws a `ConversionError` when any warning or error is reported
+ * @returns {{ files: Record<string, string>, diagnostics: import("./diagnostics").Diagnostic[] }}
+ *   Output file name to file content, and everything that was not converted
+ */
+function convertSchemas(filesInput, options = {}) {
+  const { format = "cjs" } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`❌ Unknown output format: ${format}`);
+  }
+
+  const model = parseSchemas(filesInput, options);
+  if (options.strict && hasProblems(model.diagnostics)) {
+    throw new ConversionError(model.diagnostics);
+  }
+  return { files: emitSchemas(model, options), diagnostics: model.diagnostics };
+}
+
 module.exports = {
+  OUTPUT_FORMATS,
+  VIEW_COLUMN_KEYS,
+  quote,
+  toReferentialAction,
+  classifyIndex,
+  relateForeignKeys,
+  applyPropertyNaming,
+  parseSchemas,
+  emitSchemas,
   convertSchemas,
 };
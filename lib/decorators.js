@@ -0,0 +1,289 @@
+const path = require("path");
+const { TRANSFORMERS, propertyTypeOf, quote } = require("./typings");
+
+const COLUMN_OPTIONS = [
+  "type",
+  "enum",
+  "enumName",
+  "precision",
+  "scale",
+  "length",
+  "name",
+  "array",
+  "primaryKeyConstraintName",
+  "generated",
+  "generatedIdentity",
+  "generatedType",
+  "asExpression",
+  "unique",
+  "nullable",
+  "default",
+  "transformer",
+];
+
+const RELATION_DECORATORS = {
+  "many-to-one": "ManyToOne",
+  "one-to-many": "OneToMany",
+  "one-to-one": "OneToOne",
+  "many-to-many": "ManyToMany",
+};
+
+const printValue = (v) => {
+  if (v?.source !== undefined) return v.source;
+  if (v?.raw !== undefined) return `() => ${JSON.stringify(v.raw)}`;
+  if (Array.isArray(v)) return `[${v.map(printValue).join(", ")}]`;
+  if (typeof v === "string" && !/^'.*'$/.test(v)) return `'${v}'`;
+  return `${v}`;
+};
+
+/** JS template literal source for a multi-line string such as SQL. */
+const templateLiteral = (s) =>
+  "`" + s.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${") + "`";
+
+const printOptions = (entries) =>
+  entries.length
+    ? `{ ${entries.map(([k, v]) => `${k}: ${printValue(v)}`).join(", ")} }`
+    : "";
+
+const isToMany = (r) =>
+  r.relType === "one-to-many" || r.relType === "many-to-many";
+
+// Transformers, SQL expressions and enum values are printed as source
+const optionValue = (k, v) => {
+  if (k === "transformer") return { source: TRANSFORMERS[v].source };
+  if (k === "enum") return v.map((e) => ({ source: quote(e) }));
+  if (k === "asExpression") return { source: templateLiteral(v) };
+  return v;
+};
+
+function columnDecorator(cfg, imports, isView) {
+  if (isView) {
+    imports.add("ViewColumn");
+    const opts = ["name", "transformer"]
+      .filter((k) => cfg[k] !== undefined)
+      .map((k) => [k, optionValue(k, cfg[k])]);
+    return `@ViewColumn(${printOptions(opts)})`;
+  }
+
+  const opts = COLUMN_OPTIONS.filter((k) => {
+    if (cfg[k] === undefined) return false;
+    if (k === "nullable") return cfg.nullable && !cfg.primary;
+    if (k === "length") return cfg.type !== "enum";
+    return true;
+  }).map((k) => [k, optionValue(k, cfg[k])]);
+
+  // PrimaryGeneratedColumn takes no transformer, PrimaryColumn then
+  // declares the generation itself
+  if (cfg.primary && cfg.generated && !cfg.transformer) {
+    imports.add("PrimaryGeneratedColumn");
+    const rest = opts.filter(([k]) => k !== "type" && k !== "generated");
+    return `@PrimaryGeneratedColumn(${[`'${cfg.generated}'`, printOptions(rest)]
+      .filter(Boolean)
+      .join(", ")})`;
+  }
+
+  const decorator = cfg.primary
+    ? "PrimaryColumn"
+    : cfg.createDate
+    ? "CreateDateColumn"
+    : cfg.updateDate
+    ? "UpdateDateColumn"
+    : cfg.deleteDate
+    ? "DeleteDateColumn"
+    : "Column";
+  imports.add(decorator);
+  return `@${decorator}(${printOptions(opts)})`;
+}
+
+function relationDecorators(r, imports) {
+  const decorator = RELATION_DECORATORS[r.relType];
+  imports.add(decorator);
+
+  const args = [`() => ${r.toEntity}`];
+  if (r.inverseSide) {
+    const alias = r.toEntity[0].toLowerCase() + r.toEntity.slice(1);
+    args.push(`(${alias}) => ${alias}.${r.inverseSide}`);
+  }
+
+  const opts = [];
+  if (r.relType !== "one-to-many") {
+    if (r.onDelete) opts.push(["onDelete", r.onDelete]);
+    if (r.onUpdate) opts.push(["onUpdate", r.onUpdate]);
+  }
+  if (r.cascade) opts.push(["cascade", true]);
+  if (opts.length) args.push(printOptions(opts));
+
+  const out = [`@${decorator}(${args.join(", ")})`];
+
+  if (r.joinColumns) {
+    imports.add("JoinColumn");
+    const cols = r.joinColumns.map((jc) =>
+      printOptions([
+        ["name", jc.name],
+        ["referencedColumnName", jc.referencedColumnName],
+        ...(r.foreignKeyName
+          ? [["foreignKeyConstraintName", r.foreignKeyName]]
+          : []),
+      ])
+    );
+    out.push(
+      `@JoinColumn(${cols.length === 1 ? cols[0] : `[${cols.join(", ")}]`})`
+    );
+  } else if (r.relType !== "one-to-many" && r.joinColumnName) {
+    imports.add("JoinColumn");
+    out.push(
+      `@JoinColumn(${printOptions([
+        ["name", r.joinColumnName],
+        ...(r.foreignKeyName
+          ? [["foreignKeyConstraintName", r.foreignKeyName]]
+          : []),
+      ])})`
+    );
+  }
+  if (r.relType === "many-to-many" && r.isOwner) {
+    imports.add("JoinTable");
+    const jt = r.joinTable;
+    const column = (jc) =>
+      printOptions([
+        ["name", jc.name],
+        ["referencedColumnName", jc.referencedColumnName],
+        ...(jc.foreignKeyConstraintName
+          ? [["foreignKeyConstraintName", jc.foreignKeyConstraintName]]
+          : []),
+      ]);
+    out.push(
+      jt
+        ? `@JoinTable({ name: '${jt.name}', ${
+            jt.schema ? `schema: '${jt.schema}', ` : ""
+          }joinColumn: ${column(jt.joinColumn)}, inverseJoinColumn: ${column(
+            jt.inverseJoinColumn
+          )} })`
+        : "@JoinTable()"
+    );
+  }
+  return out;
+}
+
+/**
+ * Emits one decorator-based `.entity.ts` class per parsed entity.
+ *
+ * @param {Record<string, object>} entityData - Parsed entities keyed by name
+ * @param {Record<string, string>} entity2file - Entity name -> source file
+ * @returns {Record<string, string>} Output file name to file content
+ */
+function emitDecoratorEntities(entityData, entity2file) {
+  const filesOutput = {};
+
+  Object.entries(entityData).forEach(([entity, data]) => {
+    if (data.junction) return;
+    const imports = new Set([data.view ? "ViewEntity" : "Entity"]);
+    const related = new Set();
+    const body = [];
+
+    Object.entries(data.columns).forEach(([col, cfg]) => {
+      body.push(
+        `  ${columnDecorator(cfg, imports, !!data.view)}`,
+        `  ${col}!: ${propertyTypeOf(cfg, data.dialect)};`,
+        ""
+      );
+    });
+
+    data.relations.forEach((r) => {
+      imports.add("Relation");
+      if (r.toEntity !== entity) related.add(r.toEntity);
+      relationDecorators(r, imports).forEach((d) => body.push(`  ${d}`));
+      body.push(
+        `  ${r.localName}!: Relation<${r.toEntity}${isToMany(r) ? "[]" : ""}>;`,
+        ""
+      );
+    });
+
+    const entityOptions = [
+      `name: '${data.tableName}'`,
+      data.schema && `schema: '${data.schema}'`,
+      data.view?.expression !== undefined &&
+        `expression: ${templateLiteral(data.view.expression)}`,
+      data.view?.materialized && "materialized: true",
+      data.view?.existing && "synchronize: false",
+    ].filter(Boolean);
+    const classDecorators = [
+      `@${data.view ? "ViewEntity" : "Entity"}({ ${entityOptions.join(
+        ", "
+      )} })`,
+    ];
+    data.indices?.forEach((ix) => {
+      imports.add("Index");
+      const unmanaged = ix.synchronize === false;
+      // Without columns, which TypeORM cannot express
+      const args = unmanaged
+        ? [`'${ix.name}'`]
+        : [`'${ix.name}'`, `[${ix.columns.map((c) => `'${c}'`).join(", ")}]`];
+      const opts = printOptions(
+        (unmanaged ? [["synchronize", false]] : [])
+          .concat(
+            (unmanaged
+              ? ["unique"]
+              : ["unique", "spatial", "fulltext", "concurrent"]
+            )
+              .filter((k) => ix[k])
+              .map((k) => [k, true])
+          )
+          .concat(
+            ix.where
+              ? [["where", `'${ix.where.replace(/[\\']/g, "\\$&")}'`]]
+              : []
+          )
+      );
+      if (opts) args.push(opts);
+      classDecorators.push(`@Index(${args.join(", ")})`);
+    });
+    data.uniques?.forEach((uq) => {
+      imports.add("Unique");
+      const cols = `[${uq.columns.map((c) => `'${c}'`).join(", ")}]`;
+      classDecorators.push(
+        `@Unique(${uq.name ? `'${uq.name}', ${cols}` : cols})`
+      );
+    });
+    data.checks?.forEach((ck) => {
+      imports.add("Check");
+      classDecorators.push(
+        `@Check('${ck.name}', '${ck.expression.replace(/[\\']/g, "\\$&")}')`
+      );
+    });
+
+    const outFile = path.join(
+      path.dirname(entity2file[entity]),
+      `${entity}.entity.ts`
+    );
+    filesOutput[outFile] = [
+      `import { ${[...imports].sort().join(", ")} } from 'typeorm';`,
+      ...[...related].sort().map((e) => {
+        const rel = path
+          .relative(
+            path.dirname(entity2file[entity]),
+            entity2file[e] ?? entity2file[entity]
+          )
+          .split(path.sep)
+          .slice(0, -1)
+          .concat(`${e}.entity`)
+          .join("/");
+        return `import { ${e} } from '${
+          rel.startsWith(".") ? rel : `./${rel}`
+        }';`;
+      }),
+      "",
+      ...classDecorators,
+      `export class ${entity} {`,
+      ...body.slice(0, -1),
+      "}",
+      "",
+    ].join("\n");
+  });
+
+  return filesOutput;
+}
+
+module.exports = {
+  emitDecoratorEntities,
+  templateLiteral,
+};
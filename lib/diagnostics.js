@@ -0,0 +1,105 @@
+const path = require("path");
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {"error" | "warning" | "info"} severity
+ * @property {string} code - Stable identifier, e.g. `UNKNOWN_COLUMN_TYPE`
+ * @property {string} message
+ * @property {string} [file] - Source file the diagnostic points into
+ * @property {number} [line] - 1-based line in `file`
+ * @property {number} [column] - 1-based column in `file`
+ */
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {string} file
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ */
+
+/**
+ * Where a TypeScript node starts in its source file.
+ *
+ * @param {import("typescript").Node} node
+ * @returns {SourceLocation | undefined}
+ */
+function locate(node) {
+  const src = node?.getSourceFile?.();
+  if (!src) return undefined;
+  const { line, character } = src.getLineAndCharacterOfPosition(
+    node.getStart(src)
+  );
+  return { file: src.fileName, line: line + 1, column: character + 1 };
+}
+
+/**
+ * Thrown in strict mode when a conversion produced warnings or errors.
+ */
+class ConversionError extends Error {
+  /** @param {Diagnostic[]} diagnostics */
+  constructor(diagnostics) {
+    const count = diagnostics.filter((d) => d.severity !== "info").length;
+    super(`❌ Conversion failed in strict mode with ${count} diagnostic(s)`);
+    this.name = "ConversionError";
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Creates a collector that records diagnostics located at TypeScript nodes,
+ * or at a `SourceLocation` kept from one (or a bare `{ file }`).
+ */
+function createDiagnostics() {
+  /** @type {Diagnostic[]} */
+  const list = [];
+
+  const report = (severity, code, node, message) => {
+    const location = node?.getSourceFile ? locate(node) : node;
+    list.push({
+      severity,
+      code,
+      message,
+      ...(location?.file && {
+        file: location.file,
+        line: location.line,
+        column: location.column,
+      }),
+    });
+  };
+
+  return {
+    list,
+    error: (code, node, message) => report("error", code, node, message),
+    warn: (code, node, message) => report("warning", code, node, message),
+    info: (code, node, message) => report("info", code, node, message),
+  };
+}
+
+const hasProblems = (diagnostics) =>
+  diagnostics.some((d) => d.severity !== "info");
+
+/**
+ * `file:line:column severity CODE message`, with a local file relative to
+ * cwd (and a URL as is); just `file` for diagnostics about a whole file,
+ * like a snapshot's.
+ *
+ * @param {Diagnostic} d
+ */
+function formatDiagnostic(d) {
+  const file =
+    d.file && path.isAbsolute(d.file)
+      ? path.relative(process.cwd(), d.file)
+      : d.file;
+  const where = d.file
+    ? `${file}${d.line ? `:${d.line}:${d.column}` : ""} `
+    : "";
+  return `${where}${d.severity} ${d.code} ${d.message}`;
+}
+
+module.exports = {
+  ConversionError,
+  createDiagnostics,
+  locate,
+  hasProblems,
+  formatDiagnostic,
+};
@@ -0,0 +1,172 @@
+const ts = require("typescript");
+
+/**
+ * Per-dialect table and view builders, Drizzle builder -> TypeORM type maps
+ * and the SQL `.defaultNow()` stands for. `schemaFn` declares a namespace
+ * whose `.table()`/`.view()`/`.enum()` carry a schema. `serial` lists the
+ * builders of auto-incremented columns. `transformers` and, by `{ mode }`,
+ * `modeTransformers` name the lib/typings.js value transformer that returns
+ * what Drizzle would for a builder. `unloadable` lists TypeORM types the
+ * TypeORM driver of the dialect rejects when an entity is loaded.
+ */
+const DIALECTS = {
+  pg: {
+    module: "drizzle-orm/pg-core",
+    tableFn: "pgTable",
+    // View builder -> whether it is materialized
+    viewFns: { pgView: false, pgMaterializedView: true },
+    schemaFn: "pgSchema",
+    now: "now()",
+    serial: ["serial", "bigserial", "smallserial"],
+    typeMap: {
+      // Listed first so that reverse conversion prefers the plain builders
+      serial: "int",
+      bigserial: "bigint",
+      smallserial: "smallint",
+      uuid: "uuid",
+      varchar: "varchar",
+      char: "char",
+      text: "text",
+      bigint: "bigint",
+      int: "int",
+      integer: "int",
+      smallint: "smallint",
+      numeric: "numeric",
+      decimal: "decimal",
+      float: "float",
+      double: "double",
+      real: "real",
+      doublePrecision: "double precision",
+      boolean: "boolean",
+      timestamp: "timestamp",
+      timestamptz: "timestamptz",
+      date: "date",
+      time: "time",
+      interval: "interval",
+      json: "json",
+      jsonb: "jsonb",
+      inet: "inet",
+      cidr: "cidr",
+      macaddr: "macaddr",
+      macaddr8: "macaddr8",
+      bytea: "bytea",
+      bit: "bit",
+      point: "point",
+      line: "line",
+      vector: "vector",
+      halfvec: "halfvec",
+      geometry: "geometry",
+      geography: "geography",
+    },
+    transformers: { vector: "vector", halfvec: "vector" },
+    // Missing from the supportedDataTypes of TypeORM 0.3's PostgresDriver
+    unloadable: ["vector", "halfvec"],
+    modeTransformers: {
+      bigint: { number: "number", bigint: "bigint" },
+      bigserial: { number: "number", bigint: "bigint" },
+      numeric: { number: "number", bigint: "bigint" },
+      decimal: { number: "number", bigint: "bigint" },
+      timestamp: { string: "string" },
+      date: { date: "date" },
+    },
+  },
+  mysql: {
+    module: "drizzle-orm/mysql-core",
+    tableFn: "mysqlTable",
+    viewFns: { mysqlView: false },
+    now: "CURRENT_TIMESTAMP",
+    serial: ["serial"],
+    typeMap: {
+      serial: "bigint",
+      varchar: "varchar",
+      char: "char",
+      text: "text",
+      tinytext: "tinytext",
+      mediumtext: "mediumtext",
+      longtext: "longtext",
+      binary: "binary",
+      varbinary: "varbinary",
+      tinyint: "tinyint",
+      smallint: "smallint",
+      mediumint: "mediumint",
+      int: "int",
+      bigint: "bigint",
+      decimal: "decimal",
+      float: "float",
+      double: "double",
+      real: "double",
+      boolean: "boolean",
+      date: "date",
+      datetime: "datetime",
+      time: "time",
+      timestamp: "timestamp",
+      year: "year",
+      json: "json",
+      mysqlEnum: "enum",
+    },
+  },
+  sqlite: {
+    module: "drizzle-orm/sqlite-core",
+    tableFn: "sqliteTable",
+    viewFns: { sqliteView: false },
+    now: "CURRENT_TIMESTAMP",
+    typeMap: {
+      integer: "integer",
+      int: "integer",
+      real: "real",
+      numeric: "numeric",
+      text: "text",
+      blob: "blob",
+    },
+    enumType: "simple-enum",
+    /** `{ mode }` option on a builder -> TypeORM type */
+    modeMap: {
+      integer: { boolean: "boolean" },
+      int: { boolean: "boolean" },
+      text: { json: "simple-json" },
+      blob: { json: "simple-json", bigint: "bigint" },
+    },
+    // Drizzle stores timestamps as epoch seconds or milliseconds integers
+    modeTransformers: {
+      integer: { timestamp: "timestamp", timestamp_ms: "timestamp_ms" },
+      int: { timestamp: "timestamp", timestamp_ms: "timestamp_ms" },
+    },
+  },
+};
+
+const DEFAULT_DIALECT = "pg";
+
+/** Dialect whose table builder is called `fnName`, if any. */
+const dialectForTableFn = (fnName) =>
+  Object.keys(DIALECTS).find((d) => DIALECTS[d].tableFn === fnName);
+
+/** Dialect whose view builder is called `fnName`, if any. */
+const dialectForViewFn = (fnName) =>
+  Object.keys(DIALECTS).find((d) => Object.hasOwn(DIALECTS[d].viewFns, fnName));
+
+/**
+ * Detects the dialect of a source file from its `drizzle-orm/*-core` import.
+ *
+ * @param {ts.SourceFile} src
+ * @returns {string | undefined}
+ */
+function detectDialect(src) {
+  for (const st of src.statements) {
+    if (!ts.isImportDeclaration(st) || !ts.isStringLiteral(st.moduleSpecifier))
+      continue;
+    const spec = st.moduleSpecifier.text;
+    const found = Object.keys(DIALECTS).find(
+      (d) => DIALECTS[d].module === spec
+    );
+    if (found) return found;
+  }
+  return undefined;
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  dialectForTableFn,
+  dialectForViewFn,
+  detectDialect,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_INCLUDE = ["**/*.ts"];
+const DEFAULT_EXCLUDE = ["**/*.d.ts", "**/*.test.ts", "**/node_modules/**"];
+
+/**
+ * Compiles a glob (`**`, `*`, `?` and `{a,b}`) into a RegExp matched against
+ * forward-slash paths relative to the search root.
+ *
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      // `**/` matches zero or more whole directories
+      if (glob[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i += 1;
+      }
+    } else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else if (c === "{") re += "(?:";
+    else if (c === "}") re += ")";
+    else if (c === ",") re += "|";
+    else re += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Recursively lists files under rootDir matching include but not exclude
+ * globs. Dot-directories such as `.git` are never entered.
+ *
+ * @param {string} rootDir
+ * @param {{ include?: string[], exclude?: string[] }} [options]
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function findSchemaFiles(rootDir, options = {}) {
+  const include = (
+    options.include?.length ? options.include : DEFAULT_INCLUDE
+  ).map(globToRegExp);
+  const exclude = [...DEFAULT_EXCLUDE, ...(options.exclude || [])].map(
+    globToRegExp
+  );
+  const root = path.resolve(rootDir);
+  const found = [];
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const abs = path.join(dir, entry.name);
+      const rel = path.relative(root, abs).split(path.sep).join("/");
+      if (entry.isDirectory()) {
+        if (
+          !entry.name.startsWith(".") &&
+          !exclude.some((r) => r.test(`${rel}/`))
+        )
+          walk(abs);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (include.some((r) => r.test(rel)) && !exclude.some((r) => r.test(rel)))
+        found.push(abs);
+    }
+  };
+  walk(root);
+
+  return found.sort();
+}
+
+/**
+ * Reads the files findSchemaFiles discovers into `{ fileName, content }`.
+ */
+function readSchemaFiles(rootDir, options) {
+  return findSchemaFiles(rootDir, options).map((fileName) => ({
+    fileName,
+    content: fs.readFileSync(fileName, "utf8"),
+  }));
+}
+
+module.exports = {
+  DEFAULT_INCLUDE,
+  DEFAULT_EXCLUDE,
+  globToRegExp,
+  findSchemaFiles,
+  readSchemaFiles,
+};
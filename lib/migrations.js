@@ -0,0 +1,645 @@
+const { parseSchemas } = require("./converter");
+const { templateLiteral } = require("./decorators");
+const { foreignKeyName, uniqueName } = require("./naming");
+
+const QUOTES = { pg: '"', mysql: "`", sqlite: '"' };
+
+const SERIAL_TYPES = {
+  smallint: "smallserial",
+  int: "serial",
+  integer: "serial",
+  bigint: "bigserial",
+};
+
+// Serials are only a CREATE shorthand, ALTER COLUMN TYPE takes the base type
+// and the sequence behind the column is altered on its own
+const SERIAL_BASE_TYPES = {
+  smallserial: "smallint",
+  serial: "integer",
+  bigserial: "bigint",
+};
+
+const dbName = (prop, cfg) => cfg.name || prop;
+
+/** SQL string literal, quotes are escaped by doubling them. */
+const sqlString = (s) => `'${s.replace(/'/g, "''")}'`;
+
+/** Table or view name as keyed in the model, `auth.users` in a pgSchema. */
+const qualifiedName = (data, name = data.tableName) =>
+  data.schema ? `${data.schema}.${name}` : name;
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * SQL column type for a parsed column, including length/precision and arrays.
+ */
+function sqlType(cfg, tableName, columnName, dialect, schema) {
+  const q = QUOTES[dialect];
+
+  if (cfg.type === "enum" || cfg.type === "simple-enum") {
+    if (dialect === "mysql")
+      return `enum(${cfg.enum.map(sqlString).join(", ")})`;
+    if (dialect === "sqlite") return "varchar";
+    // TypeORM creates the enum type in the schema of its table
+    return [schema, enumTypeName(cfg, tableName, columnName)]
+      .filter(Boolean)
+      .map((n) => `${q}${n}${q}`)
+      .join(".");
+  }
+
+  if (dialect === "pg" && cfg.generated === "increment")
+    return SERIAL_TYPES[cfg.type] || "serial";
+
+  let type = cfg.type;
+  if (cfg.length !== undefined) type += `(${cfg.length})`;
+  else if (cfg.precision !== undefined)
+    type += `(${[cfg.precision, cfg.scale].filter((x) => x !== undefined)})`;
+  if (cfg.array) type += "[]";
+  return type;
+}
+
+/** Postgres type name TypeORM uses for an enum column. */
+const enumTypeName = (cfg, tableName, columnName) =>
+  cfg.enumName || `${tableName}_${columnName}_enum`;
+
+/** SQL DEFAULT expression for a parsed column, if it has one. */
+function sqlDefault(cfg, dialect) {
+  if (cfg.generated === "uuid" && dialect === "pg") return "gen_random_uuid()";
+  if (cfg.default === undefined)
+    return cfg.createDate || cfg.updateDate ? "CURRENT_TIMESTAMP" : undefined;
+  if (cfg.default === null) return "NULL";
+  if (cfg.default.raw !== undefined) return cfg.default.raw;
+  // String defaults are single-quoted JS source, unescaped before quoting
+  if (typeof cfg.default === "string")
+    return sqlString(cfg.default.slice(1, -1).replace(/\\(.)/g, "$1"));
+  return `${cfg.default}`;
+}
+
+/**
+ * Flattens the parsed entity model into schemas, tables, views, enums and
+ * constraints keyed by their database names, which is what migrations diff.
+ * Tables, views and enum types in a pgSchema are keyed `schema.name`.
+ * Unnamed constraints get the names Drizzle gives them, which are the ones
+ * drizzle-kit created them under.
+ */
+function toDatabaseModel({ entities: entityData }) {
+  const model = {
+    dialect: "pg",
+    schemas: [],
+    tables: {},
+    views: {},
+    enums: {},
+  };
+  const columnName = (data, prop) =>
+    data.columns[prop] ? dbName(prop, data.columns[prop]) : prop;
+
+  Object.values(entityData).forEach((data) => {
+    const { tableName, dialect, schema } = data;
+    model.dialect = dialect;
+    if (schema && !model.schemas.includes(schema)) model.schemas.push(schema);
+
+    // Views managed outside of Drizzle are left alone
+    if (data.view) {
+      if (!data.view.existing)
+        model.views[qualifiedName(data)] = {
+          expression: data.view.expression,
+          materialized: data.view.materialized,
+        };
+      return;
+    }
+
+    const table = {
+      columns: {},
+      indices: {},
+      uniques: {},
+      checks: {},
+      foreignKeys: {},
+    };
+    model.tables[qualifiedName(data)] = table;
+
+    Object.entries(data.columns).forEach(([prop, cfg]) => {
+      const name = dbName(prop, cfg);
+      table.columns[name] = {
+        type: sqlType(cfg, tableName, name, dialect, schema),
+        nullable: !!cfg.nullable && !cfg.primary,
+        default: sqlDefault(cfg, dialect),
+        primary: !!cfg.primary,
+        increment: cfg.generated === "increment",
+        identity: cfg.generatedIdentity,
+        generatedAs:
+          cfg.asExpression !== undefined
+            ? `GENERATED ALWAYS AS (${cfg.asExpression}) ${cfg.generatedType}`
+            : undefined,
+      };
+      if (cfg.primaryKeyConstraintName)
+        table.primaryKeyName = cfg.primaryKeyConstraintName;
+      if (cfg.unique)
+        table.uniques[uniqueName(tableName, [name])] = { columns: [name] };
+
+      if (dialect === "pg" && cfg.type === "enum") {
+        model.enums[qualifiedName(data, enumTypeName(cfg, tableName, name))] =
+          cfg.enum;
+      }
+
+      const ref = entityData[cfg.referencesEntity];
+      if (ref) {
+        const refColumns = [columnName(ref, cfg.referencesColumn)];
+        table.foreignKeys[
+          foreignKeyName(tableName, [name], ref.tableName, refColumns)
+        ] = {
+          columns: [name],
+          refTable: qualifiedName(ref),
+          refColumns,
+          onDelete: cfg.onDelete,
+          onUpdate: cfg.onUpdate,
+        };
+      }
+    });
+
+    data.indices.forEach((ix) => {
+      const q = QUOTES[dialect];
+      table.indices[ix.name] = {
+        // What the index is on as SQL, `"name" DESC` or `(lower("email"))`
+        elements: ix.elements.map((el) =>
+          [
+            el.column
+              ? `${q}${columnName(data, el.column)}${q}`
+              : `(${el.expression})`,
+            el.opclass,
+            el.order,
+            el.nulls && `NULLS ${el.nulls}`,
+          ]
+            .filter(Boolean)
+            .join(" ")
+        ),
+        unique: !!ix.unique,
+        method: ix.method,
+        where: ix.where,
+        concurrent: ix.concurrent,
+      };
+    });
+
+    data.uniques.forEach((uq) => {
+      const columns = uq.columns.map((c) => columnName(data, c));
+      table.uniques[uq.name ?? uniqueName(tableName, columns)] = {
+        columns,
+      };
+    });
+
+    data.checks.forEach((ck) => {
+      table.checks[ck.name] = { expression: ck.expression };
+    });
+
+    data.foreignKeys.forEach((fk) => {
+      const ref = entityData[fk.toEntity];
+      const columns = fk.columns.map((c) => columnName(data, c));
+      const refColumns = fk.referencedColumns.map((c) => columnName(ref, c));
+      table.foreignKeys[
+        fk.name ?? foreignKeyName(tableName, columns, ref.tableName, refColumns)
+      ] = {
+        columns,
+        refTable: qualifiedName(ref),
+        refColumns,
+        onDelete: fk.onDelete,
+        onUpdate: fk.onUpdate,
+      };
+    });
+  });
+
+  return model;
+}
+
+/**
+ * Builds the statements that migrate the database from model `a` to `b`.
+ *
+ * @returns {{ statements: string[], warnings: string[] }}
+ */
+function diffModels(a, b) {
+  const { dialect } = b;
+  const q = QUOTES[dialect];
+  const id = (n) => `${q}${n}${q}`;
+  // Tables, views and types may be qualified, `auth.users` -> "auth"."users"
+  const qid = (n) => n.split(".").map(id).join(".");
+  const schemaOf = (n) => (n.includes(".") ? n.split(".")[0] : undefined);
+  const statements = [];
+  const warnings = [];
+  const push = (...sql) => statements.push(...sql);
+
+  const columnSql = (name, col) => {
+    const parts = [id(name), col.type];
+    if (!col.nullable) parts.push("NOT NULL");
+    if (col.default !== undefined) parts.push(`DEFAULT ${col.default}`);
+    if (col.identity) parts.push(`GENERATED ${col.identity} AS IDENTITY`);
+    if (col.generatedAs) parts.push(col.generatedAs);
+    if (col.increment && dialect === "mysql") parts.push("AUTO_INCREMENT");
+    if (col.increment && dialect === "sqlite")
+      parts.push("PRIMARY KEY AUTOINCREMENT");
+    return parts.join(" ");
+  };
+
+  const list = (columns) => columns.map(id).join(", ");
+
+  const fkSql = (fk) =>
+    [
+      `FOREIGN KEY (${list(fk.columns)}) REFERENCES ${qid(fk.refTable)}(${list(
+        fk.refColumns
+      )})`,
+      fk.onDelete && `ON DELETE ${fk.onDelete}`,
+      fk.onUpdate && `ON UPDATE ${fk.onUpdate}`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+  const createTable = (name, table) => {
+    const defs = Object.entries(table.columns).map(
+      ([c, col]) => `${columnSql(c, col)}`
+    );
+    Object.entries(table.uniques).forEach(([uq, def]) =>
+      defs.push(`CONSTRAINT ${id(uq)} UNIQUE (${list(def.columns)})`)
+    );
+    Object.entries(table.checks).forEach(([ck, def]) =>
+      defs.push(`CONSTRAINT ${id(ck)} CHECK (${def.expression})`)
+    );
+    const pk = Object.keys(table.columns).filter(
+      (c) => table.columns[c].primary
+    );
+    const inlinePk =
+      dialect === "sqlite" && pk.length === 1 && table.columns[pk[0]].increment;
+    if (pk.length && !inlinePk)
+      defs.push(
+        `${
+          table.primaryKeyName ? `CONSTRAINT ${id(table.primaryKeyName)} ` : ""
+        }PRIMARY KEY (${list(pk)})`
+      );
+    if (dialect === "sqlite") {
+      Object.entries(table.foreignKeys).forEach(([fkName, fk]) =>
+        defs.push(`CONSTRAINT ${id(fkName)} ${fkSql(fk)}`)
+      );
+    }
+    push(`CREATE TABLE ${qid(name)} (${defs.join(", ")})`);
+  };
+
+  // Outside of MySQL an index is named within the schema of its table
+  const dropIndex = (table, name) =>
+    push(
+      dialect === "mysql"
+        ? `DROP INDEX ${id(name)} ON ${qid(table)}`
+        : `DROP INDEX ${qid([schemaOf(table), name].filter(Boolean).join("."))}`
+    );
+
+  // MySQL names the method after the columns, and FULLTEXT as a kind
+  const createIndex = (table, name, ix) => {
+    if (ix.concurrent && dialect === "pg")
+      warnings.push(
+        `Index ${name} is built concurrently, which cannot run in a transaction, the migration runs outside of one and needs migrationsTransactionMode 'each' or 'none'`
+      );
+    const kind = ix.unique
+      ? "UNIQUE "
+      : ix.method === "fulltext"
+      ? "FULLTEXT "
+      : "";
+    const method = ix.method !== "fulltext" && ix.method;
+    push(
+      [
+        `CREATE ${kind}INDEX`,
+        ix.concurrent && dialect === "pg" && "CONCURRENTLY",
+        `${id(name)} ON ${qid(table)}`,
+        method && dialect === "pg" && `USING ${method}`,
+        `(${ix.elements.join(", ")})`,
+        method && dialect === "mysql" && `USING ${method.toUpperCase()}`,
+        ix.where && `WHERE ${ix.where}`,
+      ]
+        .filter(Boolean)
+        .join(" ")
+    );
+  };
+
+  // `kind` is one of the constraint maps of a table, e.g. `foreignKeys`
+  const changed = (kind, table, name) =>
+    !b.tables[table]?.[kind][name] ||
+    !sameJson(a.tables[table][kind][name], b.tables[table][kind][name]);
+
+  const dropConstraint = (table, name, mysqlKind) =>
+    push(
+      `ALTER TABLE ${qid(table)} DROP ${
+        dialect === "mysql" ? mysqlKind : "CONSTRAINT"
+      } ${id(name)}`
+    );
+
+  const viewSql = (name, view) =>
+    `${view.materialized ? "MATERIALIZED " : ""}VIEW ${qid(name)}`;
+
+  // 0. new schemas, and views that go away or change, as they depend on
+  // the tables below
+  b.schemas
+    .filter((s) => !a.schemas.includes(s))
+    .forEach((s) => push(`CREATE SCHEMA ${id(s)}`));
+  Object.entries(a.views).forEach(([name, view]) => {
+    if (!sameJson(view, b.views[name])) push(`DROP ${viewSql(name, view)}`);
+  });
+
+  // 1. foreign keys and indices that go away or change
+  Object.entries(a.tables).forEach(([table, t]) => {
+    Object.keys(t.foreignKeys).forEach((fk) => {
+      if (!changed("foreignKeys", table, fk)) return;
+      if (dialect === "sqlite") {
+        if (b.tables[table])
+          warnings.push(`SQLite cannot drop foreign key ${fk} on ${table}`);
+        return;
+      }
+      dropConstraint(table, fk, "FOREIGN KEY");
+    });
+    Object.keys(t.indices).forEach((ix) => {
+      if (changed("indices", table, ix)) dropIndex(table, ix);
+    });
+    [
+      ["uniques", "INDEX"],
+      ["checks", "CHECK"],
+    ].forEach(([kind, mysqlKind]) =>
+      Object.keys(t[kind]).forEach((name) => {
+        if (!changed(kind, table, name)) return;
+        if (dialect === "sqlite") {
+          if (b.tables[table])
+            warnings.push(`SQLite cannot drop constraint ${name} on ${table}`);
+          return;
+        }
+        // Dropping the table takes its constraints with it
+        if (b.tables[table]) dropConstraint(table, name, mysqlKind);
+      })
+    );
+  });
+
+  // 2. new enum types and added enum values
+  const recreatedEnums = [];
+  Object.entries(b.enums).forEach(([name, values]) => {
+    const old = a.enums[name];
+    if (!old) {
+      push(
+        `CREATE TYPE ${qid(name)} AS ENUM (${values.map(sqlString).join(", ")})`
+      );
+    } else if (old.every((v) => values.includes(v))) {
+      const added = values.filter((v) => !old.includes(v));
+      added.forEach((v) =>
+        push(`ALTER TYPE ${qid(name)} ADD VALUE ${sqlString(v)}`)
+      );
+      if (added.length)
+        warnings.push(
+          `Values added to enum ${name} cannot be used in the transaction that adds them, the migration runs outside of one and needs migrationsTransactionMode 'each' or 'none'`
+        );
+    } else if (!sameJson(old, values)) {
+      recreatedEnums.push(name);
+      push(
+        `ALTER TYPE ${qid(name)} RENAME TO ${id(
+          `${name.split(".").pop()}_old`
+        )}`,
+        `CREATE TYPE ${qid(name)} AS ENUM (${values.map(sqlString).join(", ")})`
+      );
+    }
+  });
+
+  // 3. new tables
+  Object.entries(b.tables).forEach(([name, table]) => {
+    if (!a.tables[name]) createTable(name, table);
+  });
+
+  // 4. added, altered and dropped columns of surviving tables
+  Object.entries(b.tables).forEach(([table, t]) => {
+    const old = a.tables[table];
+    if (!old) return;
+
+    Object.entries(t.columns).forEach(([c, col]) => {
+      const prev = old.columns[c];
+      if (!prev) {
+        push(`ALTER TABLE ${qid(table)} ADD ${columnSql(c, col)}`);
+        return;
+      }
+
+      if (
+        prev.primary !== col.primary ||
+        prev.increment !== col.increment ||
+        prev.identity !== col.identity ||
+        prev.generatedAs !== col.generatedAs
+      ) {
+        warnings.push(
+          `Primary key or generation change on ${table}.${c} must be written by hand`
+        );
+      }
+
+      // Postgres spells a generation change as a serial type
+      const typeChanged =
+        prev.type !== col.type && prev.increment === col.increment;
+      const enumRecreated = recreatedEnums.some((e) => col.type === qid(e));
+      const nullChanged = prev.nullable !== col.nullable;
+      const defaultChanged = prev.default !== col.default;
+
+      if (dialect === "sqlite") {
+        if (typeChanged || nullChanged || defaultChanged)
+          warnings.push(`SQLite cannot alter column ${table}.${c}`);
+      } else if (dialect === "mysql") {
+        if (typeChanged || nullChanged || defaultChanged)
+          push(`ALTER TABLE ${qid(table)} MODIFY COLUMN ${columnSql(c, col)}`);
+      } else {
+        const alter = `ALTER TABLE ${qid(table)} ALTER COLUMN ${id(c)}`;
+        if (typeChanged || enumRecreated) {
+          if (prev.default !== undefined) push(`${alter} DROP DEFAULT`);
+          const base = col.increment && SERIAL_BASE_TYPES[col.type];
+          const type = base || col.type;
+          push(`${alter} TYPE ${type} USING ${id(c)}::text::${type}`);
+          if (base)
+            push(`ALTER SEQUENCE ${qid(`${table}_${c}_seq`)} AS ${base}`);
+          if (col.default !== undefined)
+            push(`${alter} SET DEFAULT ${col.default}`);
+        } else if (defaultChanged) {
+          push(
+            col.default === undefined
+              ? `${alter} DROP DEFAULT`
+              : `${alter} SET DEFAULT ${col.default}`
+          );
+        }
+        if (nullChanged)
+          push(`${alter} ${col.nullable ? "DROP" : "SET"} NOT NULL`);
+      }
+    });
+
+    Object.keys(old.columns).forEach((c) => {
+      if (!t.columns[c]) push(`ALTER TABLE ${qid(table)} DROP COLUMN ${id(c)}`);
+    });
+
+    // A column dropped while one of its type is added was likely renamed
+    const added = Object.keys(t.columns).filter((c) => !old.columns[c]);
+    Object.keys(old.columns)
+      .filter((c) => !t.columns[c])
+      .forEach((c) => {
+        const to = added.find((n) => t.columns[n].type === old.columns[c].type);
+        if (to)
+          warnings.push(
+            `${table}.${c} looks renamed to ${to}, which is dropped and added and loses its data, write a RENAME COLUMN by hand`
+          );
+      });
+  });
+
+  // 5. dropped tables
+  Object.keys(a.tables).forEach((name) => {
+    if (!b.tables[name]) push(`DROP TABLE ${qid(name)}`);
+  });
+
+  // 6. retired enum types
+  recreatedEnums.forEach((name) => push(`DROP TYPE ${qid(`${name}_old`)}`));
+  Object.keys(a.enums).forEach((name) => {
+    if (!b.enums[name]) push(`DROP TYPE ${qid(name)}`);
+  });
+
+  // 7. indices and constraints that are new or changed
+  Object.entries(b.tables).forEach(([table, t]) => {
+    Object.entries(t.indices).forEach(([ix, def]) => {
+      const existed = a.tables[table]?.indices[ix];
+      if (!existed || !sameJson(existed, def)) createIndex(table, ix, def);
+    });
+  });
+  Object.entries(b.tables).forEach(([table, t]) => {
+    // New tables are created with their uniques and checks inline
+    if (!a.tables[table]) return;
+    [
+      ["uniques", (def) => `UNIQUE (${list(def.columns)})`],
+      ["checks", (def) => `CHECK (${def.expression})`],
+    ].forEach(([kind, sql]) =>
+      Object.entries(t[kind]).forEach(([name, def]) => {
+        const existed = a.tables[table][kind][name];
+        if (existed && sameJson(existed, def)) return;
+        if (dialect === "sqlite") {
+          warnings.push(`SQLite cannot add constraint ${name} on ${table}`);
+          return;
+        }
+        push(
+          `ALTER TABLE ${qid(table)} ADD CONSTRAINT ${id(name)} ${sql(def)}`
+        );
+      })
+    );
+  });
+  Object.entries(b.tables).forEach(([table, t]) => {
+    Object.entries(t.foreignKeys).forEach(([fk, def]) => {
+      const existed = a.tables[table]?.foreignKeys[fk];
+      if (existed && sameJson(existed, def)) return;
+      if (dialect === "sqlite") {
+        if (a.tables[table])
+          warnings.push(`SQLite cannot add foreign key ${fk} on ${table}`);
+        return;
+      }
+      push(`ALTER TABLE ${qid(table)} ADD CONSTRAINT ${id(fk)} ${fkSql(def)}`);
+    });
+  });
+
+  // 8. views that are new or changed, then schemas left empty
+  Object.entries(b.views).forEach(([name, view]) => {
+    if (!sameJson(view, a.views[name]))
+      push(`CREATE ${viewSql(name, view)} AS ${view.expression}`);
+  });
+  a.schemas
+    .filter((s) => !b.schemas.includes(s))
+    .forEach((s) => push(`DROP SCHEMA ${id(s)}`));
+
+  return { statements, warnings };
+}
+
+// Postgres cannot use an enum value in the transaction that added it, nor
+// build an index concurrently inside of one
+const needsNoTransaction = (statements) =>
+  statements.some(
+    (sql) => /^ALTER TYPE .* ADD VALUE /.test(sql) || / CONCURRENTLY /.test(sql)
+  );
+
+const printQueries = (statements) =>
+  statements
+    .map((sql) => `    await queryRunner.query(${templateLiteral(sql)});`)
+    .join("\n");
+
+function printMigration(className, up, down, format) {
+  const header = [
+    `  name = '${className}';`,
+    ...(needsNoTransaction([...up, ...down])
+      ? [
+          "  // Runs outside of a transaction, for added enum values or indexes",
+          "  // built concurrently; needs migrationsTransactionMode 'each' or 'none'",
+          "  transaction = false;",
+        ]
+      : []),
+    "",
+  ];
+
+  if (format === "ts" || format === "decorators") {
+    return [
+      "import { MigrationInterface, QueryRunner } from 'typeorm';",
+      "",
+      `export class ${className} implements MigrationInterface {`,
+      ...header,
+      "  public async up(queryRunner: QueryRunner): Promise<void> {",
+      printQueries(up),
+      "  }",
+      "",
+      "  public async down(queryRunner: QueryRunner): Promise<void> {",
+      printQueries(down),
+      "  }",
+      "}",
+      "",
+    ].join("\n");
+  }
+
+  const body = [
+    ...header,
+    "  /** @param {import('typeorm').QueryRunner} queryRunner */",
+    "  async up(queryRunner) {",
+    printQueries(up),
+    "  }",
+    "",
+    "  /** @param {import('typeorm').QueryRunner} queryRunner */",
+    "  async down(queryRunner) {",
+    printQueries(down),
+    "  }",
+  ];
+
+  return format === "esm"
+    ? [`export class ${className} {`, ...body, "}", ""].join("\n")
+    : [`module.exports = class ${className} {`, ...body, "};", ""].join("\n");
+}
+
+/**
+ * Diffs two versions of a Drizzle schema and emits a TypeORM migration.
+ * Works purely on the parsed model, no database connection is needed.
+ *
+ * @param {{ fileName: string, content: string }[]} oldFiles
+ * @param {{ fileName: string, content: string }[]} newFiles
+ * @param {{ name?: string, timestamp?: number, format?: string, dialect?: string }} [options]
+ * @returns {{ fileName: string, content: string, warnings: string[] } | null}
+ *   `null` when both versions produce the same database schema
+ */
+function generateMigration(oldFiles, newFiles, options = {}) {
+  const {
+    name = "SchemaUpdate",
+    timestamp = Date.now(),
+    format = "cjs",
+  } = options;
+
+  const before = toDatabaseModel(parseSchemas(oldFiles, options));
+  const after = toDatabaseModel(parseSchemas(newFiles, options));
+  if (!Object.keys(after.tables).length) after.dialect = before.dialect;
+  if (!Object.keys(before.tables).length) before.dialect = after.dialect;
+
+  const up = diffModels(before, after);
+  const down = diffModels(after, before);
+  if (!up.statements.length && !up.warnings.length) return null;
+
+  const className = `${name}${timestamp}`;
+  const ext = format === "ts" || format === "decorators" ? ".ts" : ".js";
+  return {
+    fileName: `${timestamp}-${name}${ext}`,
+    content: printMigration(className, up.statements, down.statements, format),
+    warnings: [...new Set([...up.warnings, ...down.warnings])],
+  };
+}
+
+module.exports = {
+  sqlType,
+  toDatabaseModel,
+  diffModels,
+  generateMigration,
+};
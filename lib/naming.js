@@ -0,0 +1,88 @@
+const snakeToPascal = (s) =>
+  (s || "")
+    .replace(/^_+|_+$/g, "")
+    .split("_")
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join("");
+
+const pascal = (w) => (w ? w[0].toUpperCase() + w.slice(1) : "");
+
+const toSnake = (s) => s.replace(/([a-z])([A-Z])/g, "$1_$2").toLowerCase();
+
+const toCamel = (s) => {
+  const p = snakeToPascal(s);
+  return p ? p[0].toLowerCase() + p.slice(1) : "";
+};
+
+/** Name Drizzle gives an unnamed foreign key, `posts_author_id_users_id_fk`. */
+const foreignKeyName = (table, columns, refTable, refColumns) =>
+  `${[table, ...columns, refTable, ...refColumns].join("_")}_fk`;
+
+/** Name Drizzle gives an unnamed unique constraint, `users_email_unique`. */
+const uniqueName = (table, columns) => `${table}_${columns.join("_")}_unique`;
+
+/** Built-in strategies, each taking the name to convert. */
+const NAMING_STRATEGIES = {
+  pascal: (s) => snakeToPascal(toSnake(s)),
+  camel: (s) => toCamel(toSnake(s)),
+  snake: toSnake,
+  preserve: (s) => s,
+};
+
+const NAMING_KEYS = ["entity", "property", "joinColumn"];
+
+const DEFAULT_NAMING = {
+  // Baseline behaviour: `user_roles` -> UserRoles, tables without a literal
+  // name fall back to their variable
+  entity: (tableName, varName) =>
+    tableName ? snakeToPascal(tableName) : pascal(varName),
+  property: NAMING_STRATEGIES.preserve,
+  joinColumn: NAMING_STRATEGIES.snake,
+};
+
+/**
+ * Resolves the `naming` option into functions. Each key takes a strategy
+ * name from NAMING_STRATEGIES or a function:
+ *
+ * - `entity(tableName, varName)` names the entity of a table
+ * - `property(key)` names the property of a column or relation
+ * - `joinColumn(property)` names a join column Drizzle did not name
+ *
+ * @param {Record<string, string | Function>} [naming]
+ */
+function createNaming(naming = {}) {
+  return Object.fromEntries(
+    NAMING_KEYS.map((key) => {
+      const strategy = naming[key];
+      if (strategy === undefined) return [key, DEFAULT_NAMING[key]];
+      if (typeof strategy === "function") return [key, strategy];
+      if (!NAMING_STRATEGIES[strategy]) {
+        throw new Error(
+          `❌ Unknown ${key} naming strategy "${strategy}", expected one of: ${Object.keys(
+            NAMING_STRATEGIES
+          ).join(", ")}`
+        );
+      }
+      const fn = NAMING_STRATEGIES[strategy];
+      return [
+        key,
+        key === "entity"
+          ? (tableName, varName) => fn(tableName || varName)
+          : fn,
+      ];
+    })
+  );
+}
+
+module.exports = {
+  NAMING_STRATEGIES,
+  NAMING_KEYS,
+  snakeToPascal,
+  pascal,
+  toSnake,
+  toCamel,
+  foreignKeyName,
+  uniqueName,
+  createNaming,
+};
@@ -0,0 +1,86 @@
+/**
+ * Hooks a plugin may define. Plugins run in the order of the `plugins`
+ * option, each over the whole model before the next one:
+ *
+ * - `onEntity(entity, { name })` for every entity, e.g. to add audit columns
+ * - `onColumn(column, { entity, entityName, name })` for every column
+ * - `onRelation(relation, { entity, entityName })` for every relation
+ * - `onEmit(files, { format })` with the output file name -> content map,
+ *   returning a replacement map or nothing
+ *
+ * The model hooks change what they are given in place; see `parseSchemas`
+ * for its shape.
+ */
+const PLUGIN_HOOKS = ["onEntity", "onColumn", "onRelation", "onEmit"];
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} [name] - Used in error messages
+ * @property {(entity: object, ctx: { name: string }) => void} [onEntity]
+ * @property {(column: object, ctx: { entity: object, entityName: string, name: string }) => void} [onColumn]
+ * @property {(relation: object, ctx: { entity: object, entityName: string }) => void} [onRelation]
+ * @property {(files: Record<string, string>, ctx: { format: string }) => Record<string, string> | void} [onEmit]
+ */
+
+/** Calls one hook, naming the plugin in whatever it throws. */
+function callHook(plugin, index, hook, ...args) {
+  try {
+    return plugin[hook](...args);
+  } catch (err) {
+    throw new Error(
+      `❌ Plugin ${plugin.name ?? `#${index + 1}`} failed in ${hook}: ${
+        err.message
+      }`
+    );
+  }
+}
+
+/**
+ * Runs the `onEntity`, `onColumn` and `onRelation` hooks over a parsed model.
+ *
+ * @param {{ entities: Record<string, object> }} model
+ * @param {Plugin[]} [plugins]
+ */
+function applyModelPlugins(model, plugins = []) {
+  plugins.forEach((plugin, i) => {
+    Object.entries(model.entities).forEach(([entityName, entity]) => {
+      if (plugin.onEntity)
+        callHook(plugin, i, "onEntity", entity, { name: entityName });
+      if (plugin.onColumn)
+        Object.entries(entity.columns).forEach(([name, column]) =>
+          callHook(plugin, i, "onColumn", column, {
+            entity,
+            entityName,
+            name,
+          })
+        );
+      if (plugin.onRelation)
+        entity.relations.forEach((relation) =>
+          callHook(plugin, i, "onRelation", relation, { entity, entityName })
+        );
+    });
+  });
+  return model;
+}
+
+/**
+ * Runs the `onEmit` hooks over the emitted files.
+ *
+ * @param {Record<string, string>} files
+ * @param {Plugin[]} [plugins]
+ * @param {{ format: string }} ctx
+ * @returns {Record<string, string>}
+ */
+function applyEmitPlugins(files, plugins = [], ctx) {
+  return plugins.reduce(
+    (current, plugin, i) =>
+      (plugin.onEmit && callHook(plugin, i, "onEmit", current, ctx)) ?? current,
+    files
+  );
+}
+
+module.exports = {
+  PLUGIN_HOOKS,
+  applyModelPlugins,
+  applyEmitPlugins,
+};
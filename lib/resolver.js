@@ -0,0 +1,89 @@
+const path = require("path");
+const ts = require("typescript");
+
+const COMPILER_OPTIONS = {
+  noLib: true,
+  target: ts.ScriptTarget.Latest,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  types: [],
+};
+
+/**
+ * Builds one `ts.Program` over the in-memory input files so identifiers can
+ * be followed through imports, aliases, namespaces and `export *` barrels.
+ * Nothing outside `filesInput` is read from disk.
+ *
+ * @param {{ fileName: string, content: string }[]} filesInput
+ * @param {Map<string, ts.SourceFile>} [sourceFileCache] - Reused across
+ *   calls so that only files whose content changed are parsed again
+ */
+function createSchemaProgram(filesInput, sourceFileCache) {
+  const sources = new Map(
+    filesInput.map(({ fileName, content }) => [path.resolve(fileName), content])
+  );
+
+  if (sourceFileCache) {
+    for (const key of sourceFileCache.keys()) {
+      if (!sources.has(key)) sourceFileCache.delete(key);
+    }
+  }
+
+  const host = {
+    getSourceFile: (fileName, languageVersion) => {
+      const key = path.resolve(fileName);
+      const content = sources.get(key);
+      if (content === undefined) return undefined;
+
+      const cached = sourceFileCache?.get(key);
+      if (cached?.text === content) return cached;
+      const src = ts.createSourceFile(fileName, content, languageVersion, true);
+      sourceFileCache?.set(key, src);
+      return src;
+    },
+    getDefaultLibFileName: () => "lib.d.ts",
+    writeFile: () => {},
+    getCurrentDirectory: () => process.cwd(),
+    getDirectories: () => [],
+    getCanonicalFileName: (f) => f,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => "\n",
+    fileExists: (f) => sources.has(path.resolve(f)),
+    readFile: (f) => sources.get(path.resolve(f)),
+    directoryExists: () => true,
+  };
+
+  const program = ts.createProgram({
+    rootNames: filesInput.map((f) => f.fileName),
+    options: COMPILER_OPTIONS,
+    host,
+  });
+  const checker = program.getTypeChecker();
+
+  return {
+    program,
+    checker,
+    /** @param {string} fileName */
+    getSourceFile: (fileName) => program.getSourceFile(fileName),
+    /**
+     * Declaration an identifier or `ns.member` expression ultimately refers
+     * to, following import aliases and re-exports.
+     *
+     * @param {ts.Node} node
+     * @returns {ts.Declaration | undefined}
+     */
+    resolveDeclaration(node) {
+      if (!node) return undefined;
+      const target = ts.isPropertyAccessExpression(node) ? node.name : node;
+      let symbol = checker.getSymbolAtLocation(target);
+      if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+        symbol = checker.getAliasedSymbol(symbol);
+      }
+      return symbol?.valueDeclaration ?? symbol?.declarations?.[0];
+    },
+  };
+}
+
+module.exports = {
+  createSchemaProgram,
+};
@@ -0,0 +1,558 @@
+const path = require("path");
+const ts = require("typescript");
+const { DIALECTS } = require("./dialects");
+const { foreignKeyName } = require("./naming");
+
+/**
+ * TypeORM type -> pg-core builder, i.e. the pg `typeMap` inverted. Where
+ * several builders map to one type the later one (e.g. `integer`) wins.
+ */
+const BUILDERS = {
+  ...Object.fromEntries(
+    Object.entries(DIALECTS.pg.typeMap).map(([builder, type]) => [
+      type,
+      builder,
+    ])
+  ),
+  // TypeORM names without a pg-core builder of the same name
+  timestamptz: "timestamp",
+  float: "real",
+  double: "doublePrecision",
+};
+
+// Builders whose length is `{ dimensions }`
+const DIMENSIONED = ["vector", "halfvec", "bit"];
+
+const COLUMN_KEYS = new Set([
+  "type",
+  "enum",
+  "enumName",
+  "precision",
+  "scale",
+  "length",
+  "name",
+  "array",
+  "primary",
+  "primaryKeyConstraintName",
+  "generated",
+  "generatedType",
+  "asExpression",
+  "unique",
+  "nullable",
+  "default",
+  "createDate",
+  "updateDate",
+]);
+
+const RELATION_KEYS = new Set([
+  "target",
+  "type",
+  "inverseSide",
+  "joinColumn",
+  "joinTable",
+  "onDelete",
+  "onUpdate",
+  "cascade",
+]);
+
+const camel = (s) =>
+  s
+    .replace(/[_-]+(\w)/g, (_, c) => c.toUpperCase())
+    .replace(/^\w/, (c) => c.toLowerCase());
+
+/** TypeORM `OnDeleteType` -> Drizzle referential action */
+const fromReferentialAction = (a) =>
+  a === "DEFAULT" ? "set default" : `${a}`.toLowerCase();
+
+const UNSUPPORTED = Symbol("unsupported");
+
+/**
+ * Statically evaluates a literal expression. Arrow functions returning a
+ * string (TypeORM function defaults) become `{ raw }`.
+ */
+function evaluate(node) {
+  if (ts.isParenthesizedExpression(node) || ts.isAsExpression(node))
+    return evaluate(node.expression);
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node))
+    return node.text;
+  if (ts.isNumericLiteral(node)) return +node.text;
+  if (
+    ts.isPrefixUnaryExpression(node) &&
+    node.operator === ts.SyntaxKind.MinusToken &&
+    ts.isNumericLiteral(node.operand)
+  )
+    return -node.operand.text;
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return false;
+  if (node.kind === ts.SyntaxKind.NullKeyword) return null;
+  if (ts.isArrayLiteralExpression(node)) return node.elements.map(evaluate);
+  if (ts.isArrowFunction(node)) {
+    const body = evaluate(node.body);
+    return typeof body === "string" ? { raw: body } : UNSUPPORTED;
+  }
+  if (ts.isObjectLiteralExpression(node)) {
+    const obj = {};
+    for (const p of node.properties) {
+      if (!ts.isPropertyAssignment(p)) return UNSUPPORTED;
+      obj[p.name.text ?? p.name.getText()] = evaluate(p.initializer);
+    }
+    return obj;
+  }
+  return UNSUPPORTED;
+}
+
+/**
+ * Collects the options object of every `new EntitySchema(...)` in a file.
+ */
+function readEntitySchemas(src) {
+  const found = [];
+  const visit = (node) => {
+    if (
+      ts.isNewExpression(node) &&
+      node.expression.getText() === "EntitySchema" &&
+      node.arguments?.length
+    ) {
+      found.push(evaluate(node.arguments[0]));
+      return;
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(src);
+  return found;
+}
+
+/**
+ * Converts TypeORM EntitySchema modules (as emitted by `convertSchemas`) back
+ * into Drizzle `pgTable` and `relations(...)` declarations.
+ *
+ * @param {{ fileName: string, content: string }[]} filesInput
+ * @returns {{ files: Record<string, string>, issues: { file: string, entity?: string, message: string }[] }}
+ */
+function reverseSchemas(filesInput) {
+  const issues = [];
+  const entities = {};
+
+  filesInput.forEach(({ fileName, content }) => {
+    const src = ts.createSourceFile(
+      fileName,
+      content,
+      ts.ScriptTarget.Latest,
+      true
+    );
+    const schemas = readEntitySchemas(src);
+    if (!schemas.length) {
+      issues.push({ file: fileName, message: "No EntitySchema found" });
+    }
+
+    schemas.forEach((schema) => {
+      if (schema === UNSUPPORTED || !schema.name) {
+        issues.push({
+          file: fileName,
+          message: "EntitySchema options are not a static object literal",
+        });
+        return;
+      }
+      const tableName = schema.tableName || schema.name;
+      entities[schema.name] = {
+        fileName,
+        schema,
+        tableName,
+        tableVar: camel(tableName),
+      };
+    });
+  });
+
+  const filesOutput = {};
+  const byFile = {};
+  Object.entries(entities).forEach(([name, e]) => {
+    (byFile[e.fileName] ??= []).push(name);
+  });
+
+  for (const [fileName, names] of Object.entries(byFile)) {
+    const builders = new Set();
+    const drizzleImports = new Set();
+    const localImports = {};
+    const schemaDecls = {};
+    const enumDecls = [];
+    const blocks = [];
+    // relations() go after every table, the converter reads a file top down
+    const relationBlocks = [];
+
+    const report = (entity, message) =>
+      issues.push({ file: fileName, entity, message });
+
+    const useTable = (targetName) => {
+      const target = entities[targetName];
+      if (target.fileName !== fileName) {
+        (localImports[target.fileName] ??= new Set()).add(target.tableVar);
+      }
+      return target;
+    };
+
+    names.forEach((name) => {
+      const { schema, tableName, tableVar } = entities[name];
+      const columns = schema.columns || {};
+      const columnLines = [];
+      const extra = [];
+      const references = {};
+      const relationLines = [];
+
+      const primaries = Object.keys(columns).filter((c) => columns[c].primary);
+      const pkName = columns[primaries[0]]?.primaryKeyConstraintName;
+      // A named or composite key needs the primaryKey() table constraint
+      const inlinePk = primaries.length === 1 && !pkName;
+      const dbName = (prop) => columns[prop]?.name || prop;
+      // Tables, views and enums of a Postgres schema are declared on its
+      // pgSchema()
+      const schemaVar = schema.schema && `${camel(schema.schema)}Schema`;
+      if (schemaVar) {
+        builders.add("pgSchema");
+        schemaDecls[
+          schemaVar
+        ] = `const ${schemaVar} = pgSchema("${schema.schema}");`;
+      }
+
+      Object.entries(schema.relations || {}).forEach(([prop, rel]) => {
+        if (rel === UNSUPPORTED) {
+          report(name, `Relation ${prop} is not a static object`);
+          return;
+        }
+        Object.keys(rel)
+          .filter((k) => !RELATION_KEYS.has(k))
+          .forEach((k) => report(name, `Relation option ${prop}.${k} dropped`));
+
+        const target = entities[rel.target];
+        if (!target) {
+          report(name, `Relation ${prop} targets unknown entity ${rel.target}`);
+          return;
+        }
+        useTable(rel.target);
+
+        if (rel.type === "one-to-many" || rel.type === "many-to-many") {
+          if (rel.type === "many-to-many")
+            report(
+              name,
+              `Many-to-many ${prop} needs an explicit junction table in Drizzle`
+            );
+          relationLines.push(`  ${prop}: many(${target.tableVar}),`);
+          return;
+        }
+
+        const joins =
+          rel.joinColumn && typeof rel.joinColumn === "object"
+            ? [].concat(rel.joinColumn)
+            : [];
+        if (!joins.length || joins.some((jc) => !jc?.name)) {
+          relationLines.push(`  ${prop}: one(${target.tableVar}),`);
+          return;
+        }
+
+        const targetPk = Object.keys(target.schema.columns || {}).find(
+          (c) => target.schema.columns[c].primary
+        );
+        const fkProps = joins.map((jc) =>
+          Object.keys(columns).find((c) => dbName(c) === jc.name)
+        );
+        const refProps = joins.map((jc) => jc.referencedColumnName ?? targetPk);
+        if (fkProps.some((c) => !c) || refProps.some((c) => !c)) {
+          report(
+            name,
+            `Join column ${joins
+              .map((jc) => jc.name)
+              .join(", ")} of ${prop} does not match a column and primary key`
+          );
+          relationLines.push(`  ${prop}: one(${target.tableVar}),`);
+          return;
+        }
+
+        // The name Drizzle gives it anyway needs no foreignKey()
+        const fkName =
+          joins[0].foreignKeyConstraintName !==
+            foreignKeyName(
+              tableName,
+              joins.map((jc) => jc.name),
+              target.tableName,
+              refProps.map((c) => target.schema.columns?.[c]?.name || c)
+            ) && joins[0].foreignKeyConstraintName;
+        const fields = fkProps.map((c) => `${tableVar}.${c}`).join(", ");
+        const refs = refProps.map((c) => `${target.tableVar}.${c}`).join(", ");
+        if (joins.length === 1 && !fkName) {
+          const actions = ["onDelete", "onUpdate"]
+            .filter((k) => rel[k])
+            .map((k) => `${k}: "${fromReferentialAction(rel[k])}"`);
+          references[fkProps[0]] = `.references(() => ${refs}${
+            actions.length ? `, { ${actions.join(", ")} }` : ""
+          })`;
+        } else {
+          builders.add("foreignKey");
+          const self = rel.target === name;
+          let fk = `foreignKey({ ${
+            fkName ? `name: "${fkName}", ` : ""
+          }columns: [${fkProps
+            .map((c) => `t.${c}`)
+            .join(", ")}], foreignColumns: [${refProps
+            .map((c) => `${self ? "t" : target.tableVar}.${c}`)
+            .join(", ")}] })`;
+          ["onDelete", "onUpdate"]
+            .filter((k) => rel[k])
+            .forEach((k) => {
+              fk += `.${k}("${fromReferentialAction(rel[k])}")`;
+            });
+          extra.push(fk);
+        }
+        relationLines.push(
+          `  ${prop}: one(${target.tableVar}, { fields: [${fields}], references: [${refs}] }),`
+        );
+      });
+
+      Object.entries(columns).forEach(([prop, col]) => {
+        if (col === UNSUPPORTED) {
+          report(name, `Column ${prop} is not a static object`);
+          return;
+        }
+        Object.keys(col)
+          .filter((k) => !COLUMN_KEYS.has(k))
+          .forEach((k) => report(name, `Column option ${prop}.${k} dropped`));
+
+        let builder;
+        const opts = [];
+        if (col.enumName) {
+          builder = `${camel(col.enumName)}Enum`;
+          if (
+            !enumDecls.some((d) => d.startsWith(`export const ${builder} =`))
+          ) {
+            if (!schemaVar) builders.add("pgEnum");
+            enumDecls.push(
+              `export const ${builder} = ${
+                schemaVar ? `${schemaVar}.enum` : "pgEnum"
+              }("${col.enumName}", [${col.enum
+                .map((v) => JSON.stringify(v))
+                .join(", ")}]);`
+            );
+          }
+        } else if (col.type === "enum") {
+          builder = "text";
+          opts.push(
+            `enum: [${col.enum.map((v) => JSON.stringify(v)).join(", ")}]`
+          );
+        } else if (col.generated === "increment") {
+          builder = col.type === "bigint" ? "bigserial" : "serial";
+          if (col.type === "bigint") opts.push('mode: "number"');
+        } else {
+          builder = BUILDERS[col.type];
+          if (!builder) {
+            report(name, `Column ${prop} has unmapped type ${col.type}`);
+            builder = "text";
+          }
+          if (col.type === "timestamptz") opts.push("withTimezone: true");
+          if (builder === "bigint") opts.push('mode: "number"');
+        }
+        if (!col.enumName) builders.add(builder);
+
+        if (col.length !== undefined)
+          opts.push(
+            `${DIMENSIONED.includes(builder) ? "dimensions" : "length"}: ${
+              col.length
+            }`
+          );
+        if (col.precision !== undefined)
+          opts.push(`precision: ${col.precision}`);
+        if (col.scale !== undefined) opts.push(`scale: ${col.scale}`);
+
+        const args = [`"${dbName(prop)}"`];
+        if (opts.length) args.push(`{ ${opts.join(", ")} }`);
+
+        let chain = `${builder}(${args.join(", ")})`;
+        if (col.array) chain += ".array()";
+        if (col.primary && inlinePk) chain += ".primaryKey()";
+        if (col.generated === "uuid") chain += ".defaultRandom()";
+        else if (col.nullable === false && !(col.primary && inlinePk))
+          chain += ".notNull()";
+        if (col.unique) chain += ".unique()";
+        if (col.asExpression !== undefined) {
+          drizzleImports.add("sql");
+          chain += `.generatedAlwaysAs(sql\`${col.asExpression.replace(
+            /[`\\$]/g,
+            "\\$&"
+          )}\`)`;
+        }
+
+        const def = col.default;
+        const temporal = /time|date/.test(col.type);
+        if (def === undefined) {
+          if (col.createDate) chain += ".defaultNow()";
+        } else if (
+          (def === true && temporal) ||
+          def === "CURRENT_TIMESTAMP" ||
+          /^(now\(\)|current_timestamp)$/i.test(def?.raw)
+        ) {
+          chain += ".defaultNow()";
+        } else if (def?.raw !== undefined) {
+          drizzleImports.add("sql");
+          chain += `.default(sql\`${def.raw.replace(/[`\\$]/g, "\\$&")}\`)`;
+        } else if (
+          typeof def === "string" &&
+          (/json/.test(col.type) || col.array)
+        ) {
+          // Serialised JSON, or a Postgres array literal such as `{"a","b"}`
+          let value = def;
+          try {
+            value = JSON.parse(
+              col.array ? def.replace(/^\{(.*)\}$/s, "[$1]") : def
+            );
+          } catch {
+            // Neither, keep the plain string
+          }
+          chain += `.default(${JSON.stringify(value)})`;
+        } else if (typeof def === "string") {
+          chain += `.default(${JSON.stringify(def)})`;
+        } else if (
+          typeof def === "number" ||
+          typeof def === "boolean" ||
+          def === null
+        ) {
+          chain += `.default(${def})`;
+        } else {
+          report(name, `Default of column ${prop} cannot be represented`);
+        }
+        if (col.updateDate) chain += ".$onUpdate(() => new Date())";
+        if (references[prop]) chain += references[prop];
+
+        columnLines.push(`  ${prop}: ${chain},`);
+      });
+
+      if (primaries.length && !inlinePk) {
+        builders.add("primaryKey");
+        extra.push(
+          `primaryKey({ ${
+            pkName ? `name: "${pkName}", ` : ""
+          }columns: [${primaries.map((c) => `t.${c}`).join(", ")}] })`
+        );
+      }
+      (schema.uniques || []).forEach((uq) => {
+        if (uq === UNSUPPORTED || !Array.isArray(uq.columns)) {
+          report(name, "Unique constraint is not a static object");
+          return;
+        }
+        builders.add("unique");
+        extra.push(
+          `unique(${uq.name ? `"${uq.name}"` : ""}).on(${uq.columns
+            .map((c) => `t.${c}`)
+            .join(", ")})`
+        );
+      });
+      (schema.checks || []).forEach((ck) => {
+        if (ck === UNSUPPORTED || typeof ck.expression !== "string") {
+          report(name, "Check constraint is not a static object");
+          return;
+        }
+        builders.add("check");
+        drizzleImports.add("sql");
+        extra.push(
+          `check("${ck.name}", sql\`${ck.expression.replace(
+            /[`\\$]/g,
+            "\\$&"
+          )}\`)`
+        );
+      });
+      (schema.indices || []).forEach((ix) => {
+        if (ix?.synchronize === false) {
+          report(name, `Index ${ix.name} is not managed by TypeORM, skipped`);
+          return;
+        }
+        if (ix === UNSUPPORTED || !Array.isArray(ix.columns)) {
+          report(name, "Index is not a static object");
+          return;
+        }
+        const fn = ix.unique ? "uniqueIndex" : "index";
+        builders.add(fn);
+        let where = "";
+        if (typeof ix.where === "string") {
+          drizzleImports.add("sql");
+          where = `.where(sql\`${ix.where.replace(/[`\\$]/g, "\\$&")}\`)`;
+        }
+        const cols = ix.columns.map((c) => `t.${c}`).join(", ");
+        extra.push(
+          `${fn}("${ix.name || `${tableName}_${ix.columns.join("_")}_idx`}")${
+            ix.spatial ? `.using("gist", ${cols})` : `.on(${cols})`
+          }${where}`
+        );
+      });
+
+      const isView = schema.type === "view";
+      let tableFn = isView ? "pgView" : "pgTable";
+      if (schemaVar) tableFn = `${schemaVar}.${isView ? "view" : "table"}`;
+      else builders.add(tableFn);
+
+      const tableArgs = [`"${tableName}"`, `{\n${columnLines.join("\n")}\n}`];
+      if (isView) {
+        let query = ".existing()";
+        if (typeof schema.expression === "string") {
+          drizzleImports.add("sql");
+          query = `.as(sql\`${schema.expression.replace(/[`\\$]/g, "\\$&")}\`)`;
+        } else if (schema.expression !== undefined) {
+          report(name, "View expression is not a string, emitted as existing");
+        }
+        blocks.push(
+          `export const ${tableVar} = ${tableFn}(${tableArgs.join(
+            ", "
+          )})${query};`
+        );
+        return;
+      }
+      if (extra.length)
+        tableArgs.push(`(t) => [\n  ${extra.join(",\n  ")},\n]`);
+      blocks.push(
+        `export const ${tableVar} = ${tableFn}(${tableArgs.join(", ")});`
+      );
+
+      if (relationLines.length) {
+        drizzleImports.add("relations");
+        relationBlocks.push(
+          `export const ${tableVar}Relations = relations(${tableVar}, ({ one, many }) => ({\n${relationLines.join(
+            "\n"
+          )}\n}));`
+        );
+      }
+    });
+
+    const outFile = fileName.replace(/\.(c|m)?[jt]s$/, ".ts");
+    const importLines = [
+      `import { ${[...builders]
+        .sort()
+        .join(", ")} } from "drizzle-orm/pg-core";`,
+    ];
+    if (drizzleImports.size)
+      importLines.push(
+        `import { ${[...drizzleImports]
+          .sort()
+          .join(", ")} } from "drizzle-orm";`
+      );
+    Object.entries(localImports).forEach(([file, vars]) => {
+      const rel = path
+        .relative(path.dirname(fileName), file)
+        .replace(/\.(c|m)?[jt]s$/, "")
+        .split(path.sep)
+        .join("/");
+      importLines.push(
+        `import { ${[...vars].sort().join(", ")} } from "${
+          rel.startsWith(".") ? rel : `./${rel}`
+        }";`
+      );
+    });
+
+    filesOutput[outFile] = [
+      ...importLines,
+      "",
+      ...Object.values(schemaDecls).flatMap((d) => [d, ""]),
+      ...enumDecls.flatMap((d) => [d, ""]),
+      ...[...blocks, ...relationBlocks].flatMap((b) => [b, ""]),
+    ].join("\n");
+  }
+
+  return { files: filesOutput, issues };
+}
+
+module.exports = {
+  reverseSchemas,
+};
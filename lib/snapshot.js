@@ -0,0 +1,578 @@
+const fs = require("fs");
+const path = require("path");
+const { DIALECTS } = require("./dialects");
+const { snakeToPascal, toCamel, createNaming } = require("./naming");
+const {
+  ConversionError,
+  createDiagnostics,
+  hasProblems,
+} = require("./diagnostics");
+const { applyModelPlugins } = require("./plugins");
+const {
+  OUTPUT_FORMATS,
+  VIEW_COLUMN_KEYS,
+  quote,
+  toReferentialAction,
+  classifyIndex,
+  relateForeignKeys,
+  applyPropertyNaming,
+  emitSchemas,
+} = require("./converter");
+
+/** drizzle-kit `dialect` -> the dialect it is converted as */
+const SNAPSHOT_DIALECTS = {
+  postgresql: "pg",
+  pg: "pg",
+  mysql: "mysql",
+  sqlite: "sqlite",
+  turso: "sqlite",
+};
+
+/**
+ * SQL type names drizzle-kit writes that are no builder name of the
+ * dialect's typeMap, -> TypeORM type.
+ */
+const SQL_TYPE_ALIASES = {
+  pg: {
+    "double precision": "double precision",
+    "timestamp with time zone": "timestamptz",
+    "timestamp without time zone": "timestamp",
+    "time with time zone": "timetz",
+    "time without time zone": "time",
+    "character varying": "varchar",
+    character: "char",
+    int2: "smallint",
+    int4: "int",
+    int8: "bigint",
+    float4: "real",
+    float8: "double precision",
+    bool: "boolean",
+  },
+  mysql: { integer: "int", "double precision": "double" },
+  sqlite: {},
+};
+
+// What the arguments of `type(a, b)` are, by TypeORM type
+const LENGTH_TYPES = [
+  "varchar",
+  "char",
+  "bit",
+  "vector",
+  "halfvec",
+  "binary",
+  "varbinary",
+];
+const PRECISION_TYPES = [
+  "numeric",
+  "decimal",
+  "float",
+  "double",
+  "timestamp",
+  "timestamptz",
+  "time",
+  "timetz",
+  "datetime",
+];
+
+/**
+ * Reads the snapshot at inputPath: the file itself, or the newest
+ * `NNNN_snapshot.json` of a drizzle-kit output folder (in its `meta`
+ * subfolder) or of a `meta` folder.
+ *
+ * @param {string} inputPath
+ * @returns {{ source: string, snapshot: object }} Absolute path and JSON
+ */
+function readSnapshot(inputPath) {
+  let source = path.resolve(inputPath);
+  if (!fs.statSync(source).isFile()) {
+    const meta = path.join(source, "meta");
+    const dir = fs.existsSync(meta) ? meta : source;
+    const [newest] = fs
+      .readdirSync(dir)
+      .filter((f) => /^\d+_snapshot\.json$/.test(f))
+      .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+    if (!newest) {
+      throw new Error(`❌ No drizzle-kit snapshot found in ${inputPath}`);
+    }
+    source = path.join(dir, newest);
+  }
+
+  try {
+    return { source, snapshot: JSON.parse(fs.readFileSync(source, "utf8")) };
+  } catch (err) {
+    throw new Error(`❌ Cannot read snapshot ${source}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads a drizzle-kit column type such as `varchar(256)`, `numeric(10, 2)`,
+ * `timestamp (3) with time zone` or `text[]`.
+ *
+ * @returns {{ base: string, args: string[], array: boolean, unsigned: boolean }}
+ */
+function splitSqlType(sqlType) {
+  let rest = sqlType.trim();
+  const array = /(\[\d*\])+$/.test(rest);
+  rest = rest.replace(/(\[\d*\])+$/, "");
+  const args = [];
+  rest = rest.replace(/\s*\(([^)]*)\)/, (_, list) => {
+    args.push(...list.split(",").map((a) => a.trim()));
+    return "";
+  });
+  let base = rest.replace(/\s+/g, " ").trim().toLowerCase();
+  const unsigned = / unsigned$/.test(base);
+  base = base.replace(/ unsigned$/, "");
+  return { base, args, array, unsigned };
+}
+
+/**
+ * A drizzle-kit default, which is SQL text or a JSON number or boolean, as
+ * a column model `default`.
+ */
+function readDefault(value) {
+  if (typeof value === "number" || typeof value === "boolean") return value;
+  const text = String(value).trim();
+  // 'text', possibly cast: '{}'::jsonb
+  const str = /^'((?:[^']|'')*)'(?:::.+)?$/s.exec(text);
+  if (str) return quote(str[1].replace(/''/g, "'"));
+  if (/^-?\d+(\.\d+)?$/.test(text)) return +text;
+  if (text === "true" || text === "false") return text === "true";
+  return { raw: text };
+}
+
+// drizzle-kit writes these as objects since snapshot version 5/6
+const assertObjects = (entries, what, file) => {
+  if (Object.values(entries ?? {}).some((e) => typeof e === "string")) {
+    throw new Error(
+      `❌ ${file} stores ${what} in a pre-release format, upgrade it with \`drizzle-kit up\``
+    );
+  }
+};
+
+/**
+ * Parses a drizzle-kit snapshot (`meta/NNNN_snapshot.json`) into the model
+ * `parseSchemas` returns, so that it can be emitted by `emitSchemas`. The
+ * snapshot holds every table fully resolved, which helps when the schema
+ * sources are too dynamic to be read statically.
+ *
+ * Columns are keyed by the camelCase of their database name, before the
+ * `naming` option applies. Relations are made up from foreign keys, as a
+ * snapshot has no `relations()`.
+ *
+ * @param {object} snapshot - The parsed JSON
+ * @param {{ file: string, source?: string, format?: string } & Omit<Parameters<typeof import("./converter").parseSchemas>[1], "sourceFileCache" | "junctionTables">} options
+ *   `file` is the `.ts` path the entities are attributed to, which names the
+ *   output file. `source` is the snapshot path diagnostics point at
+ * @returns {import("./converter").SchemaModel}
+ */
+function parseSnapshot(snapshot, options) {
+  const dialect = SNAPSHOT_DIALECTS[snapshot?.dialect];
+  const source = options.source ?? options.file;
+  if (!dialect || typeof snapshot.tables !== "object") {
+    throw new Error(
+      `❌ ${source} is not a drizzle-kit snapshot of a ${Object.keys(
+        SNAPSHOT_DIALECTS
+      ).join(", ")} database`
+    );
+  }
+
+  const diagnostics = createDiagnostics();
+  const at = { file: source };
+  const naming = createNaming(options.naming);
+  const {
+    typeMap = {},
+    typeOverrides = {},
+    rename = {},
+    excludeTables = [],
+  } = options;
+  const defaultSchema = dialect === "pg" ? "public" : undefined;
+  const schemaOf = (s) => (s && s !== defaultSchema ? s : undefined);
+
+  // By name, schema-qualified outside the default one. Before version 7, pg
+  // enum values were an object
+  const enums = {};
+  Object.values(snapshot.enums ?? {}).forEach((e) => {
+    enums[schemaOf(e.schema) ? `${e.schema}.${e.name}` : e.name] = {
+      name: e.name,
+      values: Array.isArray(e.values) ? e.values : Object.values(e.values),
+      ...(schemaOf(e.schema) && { schema: e.schema }),
+    };
+  });
+  const enumOf = (name, schema) =>
+    Object.values(enums).find(
+      (e) => e.name === name && e.schema === schemaOf(schema)
+    );
+
+  const readColumn = (c, key, tableName) => {
+    const col = { type: "text", nullable: !c.notNull };
+    if (c.name !== key) col.name = c.name;
+    const { base, args, array, unsigned } = splitSqlType(c.type);
+    const pgEnum = dialect === "pg" && enumOf(base, c.typeSchema);
+    const mapped = typeMap[base];
+    const type =
+      DIALECTS[dialect].typeMap[base] ?? SQL_TYPE_ALIASES[dialect][base];
+
+    if (pgEnum) {
+      Object.assign(col, {
+        type: "enum",
+        enum: pgEnum.values,
+        enumName: pgEnum.name,
+      });
+    } else if (base === "enum" && dialect === "mysql") {
+      // enum('a','b') has its values as the arguments
+      col.type = "enum";
+      col.enum = [...c.type.matchAll(/'((?:[^']|'')*)'/g)].map((m) =>
+        m[1].replace(/''/g, "'")
+      );
+    } else if (mapped) {
+      Object.assign(
+        col,
+        typeof mapped === "string" ? { type: mapped } : mapped
+      );
+    } else if (type) {
+      col.type = type;
+      const [first, second] = args.map(Number);
+      if (LENGTH_TYPES.includes(type) && first >= 0) col.length = first;
+      if (PRECISION_TYPES.includes(type) && first >= 0) col.precision = first;
+      if (PRECISION_TYPES.includes(type) && second >= 0) col.scale = second;
+    } else {
+      diagnostics.warn(
+        "UNKNOWN_COLUMN_TYPE",
+        at,
+        `Unknown column type ${c.type} of ${tableName}.${c.name}, emitted as text (map it with the typeMap option)`
+      );
+    }
+    if (DIALECTS[dialect].unloadable?.includes(col.type))
+      diagnostics.warn(
+        "UNLOADABLE_COLUMN_TYPE",
+        at,
+        `TypeORM does not support the ${col.type} type of ${tableName}.${c.name}, the entity fails to load (map ${base} to a supported type with the typeMap option)`
+      );
+    if (array) col.array = true;
+    if (unsigned)
+      diagnostics.warn(
+        "UNSUPPORTED_OPTION",
+        at,
+        `unsigned of ${tableName}.${c.name} is not converted`
+      );
+
+    if (c.primaryKey) Object.assign(col, { primary: true, nullable: false });
+    if (
+      !mapped &&
+      (DIALECTS[dialect].serial?.includes(base) || c.autoincrement)
+    )
+      Object.assign(col, { generated: "increment", nullable: false });
+    const transformer = DIALECTS[dialect].transformers?.[base];
+    if (!mapped && transformer) col.transformer = transformer;
+
+    if (c.identity) {
+      Object.assign(col, {
+        generated: "identity",
+        generatedIdentity:
+          c.identity.type === "always" ? "ALWAYS" : "BY DEFAULT",
+        nullable: false,
+      });
+      if (options.format !== "decorators")
+        diagnostics.warn(
+          "IDENTITY_COLUMN",
+          at,
+          `EntitySchema cannot declare identity columns, ${tableName}.${c.name} is emitted as generated: 'increment'`
+        );
+    }
+    if (c.generated?.as) {
+      col.generatedType =
+        dialect === "pg" || c.generated.type === "stored"
+          ? "STORED"
+          : "VIRTUAL";
+      col.asExpression = c.generated.as;
+    }
+
+    if (c.default !== undefined) {
+      const value = readDefault(c.default);
+      // Like .defaultRandom()
+      if (col.type === "uuid" && value.raw === "gen_random_uuid()")
+        Object.assign(col, { generated: "uuid", nullable: false });
+      else col.default = value;
+    }
+    if (key === "createdAt")
+      Object.assign(col, { createDate: true, nullable: false });
+    if (key === "updatedAt" || c.onUpdate) col.updateDate = true;
+    if (col.type === "enum" && DIALECTS[dialect].enumType)
+      col.type = DIALECTS[dialect].enumType;
+
+    const override =
+      typeOverrides[`${tableName}.${key}`] ??
+      typeOverrides[`${tableName}.${c.name}`];
+    if (override)
+      Object.assign(
+        col,
+        typeof override === "string" ? { type: override } : override
+      );
+    return col;
+  };
+
+  // Database column name -> key, per table
+  const readColumns = (table, tableName) => {
+    const keys = {};
+    const columns = {};
+    Object.values(table.columns ?? {}).forEach((c) => {
+      let key = toCamel(c.name) || c.name;
+      if (columns[key]) key = c.name;
+      keys[c.name] = key;
+      columns[key] = readColumn(c, key, tableName);
+    });
+    return { columns, keys };
+  };
+
+  const unconverted = (what, entries) =>
+    Object.entries(entries ?? {}).forEach(([key, entry]) =>
+      diagnostics.warn(
+        "UNSUPPORTED_SNAPSHOT_ENTRY",
+        at,
+        `${what} ${entry?.name ?? key} is not converted`
+      )
+    );
+  unconverted("Sequence", snapshot.sequences);
+  unconverted("Role", snapshot.roles);
+  unconverted("Policy", snapshot.policies);
+
+  const entityData = {};
+  // Table (and schema) -> entity, for foreign keys
+  const tableEntities = {};
+  const tableKeys = {};
+  const entityOf = (name, schema) => {
+    let ent = rename[name] ?? naming.entity(name, undefined);
+    if (entityData[ent]) {
+      const prefixed = snakeToPascal(schema ?? dialect) + ent;
+      diagnostics.info(
+        "ENTITY_NAME_COLLISION",
+        at,
+        `Entity ${ent} is declared twice, ${
+          schema ?? ""
+        }.${name} is renamed to ${prefixed}`
+      );
+      ent = prefixed;
+    }
+    return ent;
+  };
+  const excluded = (name, what) => {
+    if (!excludeTables.includes(name)) return false;
+    diagnostics.info(
+      "TABLE_EXCLUDED",
+      at,
+      `${what} ${name} is excluded by configuration`
+    );
+    return true;
+  };
+
+  Object.values(snapshot.tables).forEach((table) => {
+    const schema = schemaOf(table.schema);
+    if (excluded(table.name, "Table")) return;
+    [
+      "indexes",
+      "foreignKeys",
+      "compositePrimaryKeys",
+      "uniqueConstraints",
+    ].forEach((k) => assertObjects(table[k], k, source));
+
+    const entity = entityOf(table.name, schema);
+    const { columns, keys } = readColumns(table, table.name);
+    const keyOf = (name) => keys[name] ?? name;
+    tableEntities[`${schema ?? ""}.${table.name}`] = entity;
+    tableKeys[entity] = keys;
+
+    const data = {
+      tableName: table.name,
+      dialect,
+      schema,
+      file: options.file,
+      columns,
+      relations: [],
+      indices: [],
+      uniques: [],
+      checks: [],
+      foreignKeys: [],
+    };
+    entityData[entity] = data;
+
+    Object.values(table.compositePrimaryKeys ?? {}).forEach((pk) =>
+      pk.columns.forEach((name) => {
+        const col = columns[keyOf(name)];
+        if (!col) return;
+        Object.assign(col, { primary: true, nullable: false });
+        if (pk.name) col.primaryKeyConstraintName = pk.name;
+      })
+    );
+
+    // Column uniques, unless also listed as a unique constraint
+    Object.values(table.columns ?? {})
+      .filter((c) => c.isUnique && !table.uniqueConstraints?.[c.uniqueName])
+      .forEach((c) =>
+        data.uniques.push({ name: c.uniqueName, columns: [keyOf(c.name)] })
+      );
+    Object.values(table.uniqueConstraints ?? {}).forEach((u) => {
+      if (u.nullsNotDistinct)
+        diagnostics.warn(
+          "UNSUPPORTED_OPTION",
+          at,
+          `NULLS NOT DISTINCT of unique constraint ${u.name} is not converted`
+        );
+      data.uniques.push({ name: u.name, columns: u.columns.map(keyOf) });
+    });
+
+    // `checkConstraint` in mysql and sqlite snapshots
+    Object.values(
+      table.checkConstraints ?? table.checkConstraint ?? {}
+    ).forEach((ck) =>
+      data.checks.push({ name: ck.name, expression: ck.value })
+    );
+
+    Object.values(table.indexes ?? {}).forEach((ix) => {
+      // Column names until pg snapshot version 7, element objects since
+      const elements = ix.columns.map((c) => {
+        if (typeof c === "string")
+          return keys[c] ? { column: keys[c] } : { expression: c };
+        const el = c.isExpression
+          ? { expression: c.expression }
+          : { column: keyOf(c.expression) };
+        if (c.asc === false) el.order = "DESC";
+        // NULLS LAST is the default of ASC, NULLS FIRST of DESC
+        if (c.nulls && c.nulls !== (c.asc === false ? "first" : "last"))
+          el.nulls = c.nulls.toUpperCase();
+        if (c.opclass) el.opclass = c.opclass;
+        return el;
+      });
+      const method = ix.method?.toLowerCase();
+      const index = {
+        name: ix.name,
+        columns: elements.filter((e) => e.column).map((e) => e.column),
+        elements,
+        unique: !!ix.isUnique,
+        ...(method && method !== "btree" && { method }),
+        ...(ix.where && { where: ix.where }),
+        ...(ix.concurrently && { concurrent: true }),
+      };
+      data.indices.push(
+        classifyIndex(index, {
+          dialect,
+          format: options.format,
+          diagnostics,
+          at,
+        })
+      );
+    });
+
+    if (Object.keys(table.policies ?? {}).length || table.isRLSEnabled)
+      diagnostics.warn(
+        "UNSUPPORTED_SNAPSHOT_ENTRY",
+        at,
+        `Row level security of ${table.name} is not converted`
+      );
+  });
+
+  // Foreign keys once every table has its entity
+  Object.values(snapshot.tables).forEach((table) => {
+    const entity =
+      tableEntities[`${schemaOf(table.schema) ?? ""}.${table.name}`];
+    if (!entity) return;
+    Object.values(table.foreignKeys ?? {}).forEach((fk) => {
+      const toEntity =
+        tableEntities[`${schemaOf(fk.schemaTo) ?? ""}.${fk.tableTo}`];
+      if (!toEntity) {
+        diagnostics.info(
+          "TABLE_EXCLUDED",
+          at,
+          `Foreign key ${fk.name} targets ${fk.tableTo}, which is not converted, and is dropped`
+        );
+        return;
+      }
+      const action = (a) =>
+        a && a !== "no action" ? toReferentialAction(a) : undefined;
+      entityData[entity].foreignKeys.push({
+        name: fk.name,
+        columns: fk.columnsFrom.map((c) => tableKeys[entity][c] ?? c),
+        toEntity,
+        referencedColumns: fk.columnsTo.map((c) => tableKeys[toEntity][c] ?? c),
+        onDelete: action(fk.onDelete),
+        onUpdate: action(fk.onUpdate),
+      });
+    });
+  });
+
+  // Only what a view column keeps of a table column
+  const viewColumns = (view) =>
+    Object.fromEntries(
+      Object.entries(readColumns(view, view.name).columns).map(([key, col]) => [
+        key,
+        Object.fromEntries(
+          Object.entries(col).filter(
+            ([k]) =>
+              VIEW_COLUMN_KEYS.includes(k) || ["name", "nullable"].includes(k)
+          )
+        ),
+      ])
+    );
+  Object.values(snapshot.views ?? {}).forEach((view) => {
+    if (excluded(view.name, "View")) return;
+    const schema = schemaOf(view.schema);
+    if (view.materialized && options.format !== "decorators")
+      diagnostics.warn(
+        "MATERIALIZED_VIEW",
+        at,
+        `EntitySchema cannot mark view ${view.name} as materialized, it is emitted as a plain view`
+      );
+    entityData[entityOf(view.name, schema)] = {
+      tableName: view.name,
+      dialect,
+      schema,
+      file: options.file,
+      view: {
+        expression: view.definition,
+        materialized: !!view.materialized,
+        existing: !!view.isExisting,
+      },
+      columns: viewColumns(view),
+      relations: [],
+      indices: [],
+      uniques: [],
+      checks: [],
+      foreignKeys: [],
+    };
+  });
+
+  relateForeignKeys(entityData, diagnostics);
+  applyPropertyNaming(entityData, naming);
+
+  return applyModelPlugins(
+    { entities: entityData, enums, diagnostics: diagnostics.list },
+    options.plugins
+  );
+}
+
+/**
+ * Converts a drizzle-kit snapshot into TypeORM entity modules, that is
+ * `parseSnapshot` followed by `emitSchemas`, like `convertSchemas` does for
+ * schema sources.
+ *
+ * @param {object} snapshot - The parsed JSON
+ * @param {{ strict?: boolean } & Parameters<typeof parseSnapshot>[1] & Parameters<typeof emitSchemas>[1]} options
+ * @returns {ReturnType<typeof import("./converter").convertSchemas>}
+ */
+function convertSnapshot(snapshot, options) {
+  const { format = "cjs" } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`❌ Unknown output format: ${format}`);
+  }
+
+  const model = parseSnapshot(snapshot, options);
+  if (options.strict && hasProblems(model.diagnostics)) {
+    throw new ConversionError(model.diagnostics);
+  }
+  return { files: emitSchemas(model, options), diagnostics: model.diagnostics };
+}
+
+module.exports = {
+  readSnapshot,
+  parseSnapshot,
+  convertSnapshot,
+};
@@ -1,53 +1,158 @@
-const { execSync } = require("child_process");
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 /**
- * Sparse-checkout and flatten specific subfolder from a Git repo into a clean output directory.
+ * Runs git with an argument array, never through a shell, so repo URLs,
+ * subfolders and refs are passed through verbatim.
  *
- * @param {string} repoUrl - SSH or HTTPS Git repo URL
- * @param {string} repoSubfolder - Subfolder inside the repo to pull
- * @param {string} outputDir - Directory to place flattened files
+ * @returns {string} Trimmed stdout
  */
-function sparseFetch(repoUrl, repoSubfolder, outputDir) {
-  const absoluteOutput = path.resolve(outputDir);
+function git(args, cwd, input) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      input,
+      encoding: "utf8",
+      stdio: ["pipe", "pipe", "pipe"],
+    }).trim();
+  } catch (err) {
+    const detail = err.stderr?.toString().trim() || err.message;
+    throw new Error(`❌ git ${args[0]} failed: ${detail}`);
+  }
+}
 
-  if (fs.existsSync(absoluteOutput)) {
-    if (process.cwd().startsWith(absoluteOutput)) {
-      process.chdir(path.dirname(absoluteOutput));
-    }
-    fs.rmSync(absoluteOutput, { recursive: true });
+/** Like git, but returns null instead of throwing. */
+function tryGit(args, cwd) {
+  try {
+    return git(args, cwd);
+  } catch {
+    return null;
   }
+}
 
-  execSync(
-    `git clone --no-checkout --filter=blob:none ${repoUrl} ${absoluteOutput}`
-  );
-  process.chdir(absoluteOutput);
+/**
+ * Existing local paths are cloned by their absolute path; URLs (`file://`
+ * included) and scp-like SSH addresses are passed to git as given.
+ */
+function resolveRepoUrl(repoUrl) {
+  const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(repoUrl);
+  return !isUrl && fs.existsSync(repoUrl) ? path.resolve(repoUrl) : repoUrl;
+}
+
+/**
+ * Clones repoUrl into cloneDir without checking anything out, or updates the
+ * clone left there by an earlier run.
+ */
+function cloneOrUpdate(repoUrl, cloneDir) {
+  if (fs.existsSync(path.join(cloneDir, ".git"))) {
+    git(["fetch", "--prune", "--tags", "--force", "origin"], cloneDir);
+    // Follow a changed default branch
+    tryGit(["remote", "set-head", "origin", "--auto"], cloneDir);
+    return;
+  }
+  fs.mkdirSync(path.dirname(cloneDir), { recursive: true });
+  git([
+    "clone",
+    "--no-checkout",
+    "--filter=blob:none",
+    "--",
+    repoUrl,
+    cloneDir,
+  ]);
+}
 
-  execSync(`git sparse-checkout init --no-cone`);
-  execSync(`git sparse-checkout set ${repoSubfolder}`);
-  execSync(`git checkout`);
+/**
+ * Resolves a branch, tag or commit SHA to a commit of the clone, fetching it
+ * explicitly when it is not among the cloned refs (e.g. an unmerged commit).
+ * Branches resolve to the remote branch, so a reused clone never checks out
+ * a stale local one.
+ */
+function resolveRef(cloneDir, ref) {
+  const verify = (rev) =>
+    tryGit(["rev-parse", "--verify", "--quiet", `${rev}^{commit}`], cloneDir);
 
-  const subfolderPath = path.join(process.cwd(), repoSubfolder);
-  if (!fs.existsSync(subfolderPath)) {
-    throw new Error(`❌ Repo subfolder not found: ${repoSubfolder}`);
+  if (!ref) {
+    const head = verify("refs/remotes/origin/HEAD");
+    if (!head) throw new Error("❌ Repo has no default branch to check out");
+    return head;
   }
+  if (ref.startsWith("-")) throw new Error(`❌ Invalid Git ref: ${ref}`);
 
-  const files = fs.readdirSync(subfolderPath);
+  const sha =
+    verify(`refs/remotes/origin/${ref}`) ??
+    verify(`refs/tags/${ref}`) ??
+    verify(ref) ??
+    (tryGit(["fetch", "origin", ref], cloneDir) !== null
+      ? verify("FETCH_HEAD")
+      : null);
+  if (!sha) throw new Error(`❌ Git ref not found: ${ref}`);
+  return sha;
+}
 
-  for (const file of files) {
-    const source = path.join(subfolderPath, file);
-    const destination = path.join(process.cwd(), file);
-    if (fs.lstatSync(source).isFile()) {
-      fs.renameSync(source, destination);
-    }
+/**
+ * Sparse-checkout a specific subfolder from a Git repo and copy its contents,
+ * nested directories included, into the root of outputDir. Files already in
+ * outputDir are kept unless the subfolder holds one of the same name.
+ *
+ * Git runs in a temporary clone, or in a clone under `cacheDir` that later
+ * calls with the same repo reuse and only fetch into. The process working
+ * directory is never changed.
+ *
+ * @param {string} repoUrl - SSH, HTTPS or `file://` Git repo URL, or a local repo path
+ * @param {string} repoSubfolder - Subfolder inside the repo to pull
+ * @param {string} outputDir - Directory to place the subfolder contents in
+ * @param {{ ref?: string, cacheDir?: string }} [options]
+ *   `ref` is a branch, tag or commit SHA to check out instead of the default branch
+ * @returns {string} SHA of the checked out commit
+ */
+function sparseFetch(repoUrl, repoSubfolder, outputDir, options = {}) {
+  const subfolder = path.posix.normalize(repoSubfolder.replace(/\\/g, "/"));
+  if (
+    subfolder.startsWith("../") ||
+    subfolder === ".." ||
+    path.isAbsolute(subfolder)
+  ) {
+    throw new Error(
+      `❌ Repo subfolder must be inside the repo: ${repoSubfolder}`
+    );
   }
 
-  const topLevelDir = repoSubfolder.split("/")[0];
-  const cleanupPath = path.join(process.cwd(), topLevelDir);
+  const url = resolveRepoUrl(repoUrl);
+  const tmp = options.cacheDir
+    ? null
+    : fs.mkdtempSync(path.join(os.tmpdir(), "drizzle-to-typeorm-git-"));
+  const cloneDir = tmp
+    ? path.join(tmp, "repo")
+    : path.join(
+        path.resolve(options.cacheDir),
+        crypto.createHash("sha256").update(url).digest("hex").slice(0, 16)
+      );
+
+  try {
+    cloneOrUpdate(url, cloneDir);
+    const sha = resolveRef(cloneDir, options.ref);
+
+    const pattern =
+      subfolder === "." ? "/*" : `/${subfolder.replace(/\/$/, "")}/`;
+    git(["sparse-checkout", "set", "--no-cone", "--stdin"], cloneDir, pattern);
+    git(["checkout", "--force", "--detach", sha], cloneDir);
+
+    const subfolderPath = path.join(cloneDir, subfolder);
+    if (!fs.existsSync(subfolderPath)) {
+      throw new Error(`❌ Repo subfolder not found: ${repoSubfolder}`);
+    }
 
-  if (fs.existsSync(cleanupPath)) {
-    fs.rmSync(cleanupPath, { recursive: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.cpSync(subfolderPath, outputDir, {
+      recursive: true,
+      filter: (src) => path.basename(src) !== ".git",
+    });
+    return sha;
+  } finally {
+    if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
   }
 }
 
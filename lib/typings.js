@@ -0,0 +1,150 @@
+/**
+ * TypeORM column type -> JS/TS type used in generated typings.
+ */
+const JS_DOC_TYPE_MAP = {
+  uuid: "string",
+  varchar: "string",
+  char: "string",
+  text: "string",
+  boolean: "boolean",
+  int: "number",
+  integer: "number",
+  tinyint: "number",
+  smallint: "number",
+  mediumint: "number",
+  bigint: "number",
+  numeric: "number",
+  decimal: "number",
+  float: "number",
+  double: "number",
+  "double precision": "number",
+  real: "number",
+  year: "number",
+  tinytext: "string",
+  mediumtext: "string",
+  longtext: "string",
+  timestamp: "Date",
+  timestamptz: "Date",
+  datetime: "Date",
+  // TypeORM hydrates both as strings, e.g. '2024-01-31' and '13:45:00'
+  date: "string",
+  time: "string",
+  timetz: "string",
+  interval: "string",
+  json: "unknown",
+  jsonb: "unknown",
+  "simple-json": "unknown",
+  citext: "string",
+  inet: "string",
+  cidr: "string",
+  macaddr: "string",
+  macaddr8: "string",
+  bit: "string",
+  bytea: "Buffer",
+  blob: "Buffer",
+  binary: "Buffer",
+  varbinary: "Buffer",
+  point: "object",
+  line: "object",
+  vector: "number[]",
+  halfvec: "number[]",
+  geometry: "object",
+  geography: "object",
+};
+
+/**
+ * Where a dialect's driver hands out something else than JS_DOC_TYPE_MAP
+ * says: pg and mysql2 (with TypeORM's default `bigNumberStrings`) return
+ * 64-bit integers and decimals as strings so that no precision is lost.
+ */
+const DRIVER_TYPE_MAP = {
+  pg: { bigint: "string", numeric: "string", decimal: "string" },
+  mysql: { bigint: "string", numeric: "string", decimal: "string" },
+};
+
+/**
+ * Value transformers that hand out what Drizzle would for a column `mode`
+ * (or a type TypeORM returns as text), by name: the TS type they produce
+ * and the source printed into the entity.
+ */
+const TRANSFORMERS = {
+  number: {
+    tsType: "number",
+    source: "{ from: (v) => (v == null ? v : Number(v)), to: (v) => v }",
+  },
+  bigint: {
+    tsType: "bigint",
+    source:
+      "{ from: (v) => (v == null ? v : BigInt(v)), to: (v) => (v == null ? v : v.toString()) }",
+  },
+  string: {
+    tsType: "string",
+    source:
+      "{ from: (v) => (v instanceof Date ? v.toISOString() : v), to: (v) => v }",
+  },
+  date: {
+    tsType: "Date",
+    source: "{ from: (v) => (v == null ? v : new Date(v)), to: (v) => v }",
+  },
+  timestamp: {
+    tsType: "Date",
+    source:
+      "{ from: (v) => (v == null ? v : new Date(v * 1000)), to: (v) => (v == null ? v : Math.floor(v.getTime() / 1000)) }",
+  },
+  timestamp_ms: {
+    tsType: "Date",
+    source:
+      "{ from: (v) => (v == null ? v : new Date(v)), to: (v) => (v == null ? v : v.getTime()) }",
+  },
+  vector: {
+    tsType: "number[]",
+    source:
+      "{ from: (v) => (typeof v === 'string' ? JSON.parse(v) : v), to: (v) => (v == null ? v : JSON.stringify(v)) }",
+  },
+};
+/** Single-quoted JS source for a string, e.g. `'draft'` for a default. */
+/** Single-quoted JS source for a string, e.g. `'draft'` or `'it\\'s'`. */
+const quote = (s) => `'${s.replace(/[\\']/g, "\\$&")}'`;
+
+/**
+ * JS/TS type of a parsed column; enums become a union of their values,
+ * a `transformer` decides what the column holds and `tsType` (set through
+ * `$type<...>()` or the typeMap option) wins over all of them.
+ *
+ * @param {{ type: string, enum?: string[], array?: boolean, tsType?: string, transformer?: string }} col
+ * @param {string} [dialect]
+ */
+const jsTypeOf = (col, dialect) => {
+  if (col.tsType) return col.tsType;
+  if (TRANSFORMERS[col.transformer])
+    return TRANSFORMERS[col.transformer].tsType;
+  const type = col.enum
+    ? col.enum.map(quote).join(" | ")
+    : DRIVER_TYPE_MAP[dialect]?.[col.type] ??
+      JS_DOC_TYPE_MAP[col.type] ??
+      "any";
+  return col.array ? `${col.enum ? `(${type})` : type}[]` : type;
+};
+
+/**
+ * jsTypeOf of an entity property, `| null` included for nullable columns
+ * (`unknown` and `any` already include it).
+ *
+ * @param {Parameters<typeof jsTypeOf>[0] & { nullable?: boolean, primary?: boolean }} col
+ * @param {string} [dialect]
+ */
+const propertyTypeOf = (col, dialect) => {
+  const type = jsTypeOf(col, dialect);
+  return col.nullable && !col.primary && type !== "unknown" && type !== "any"
+    ? `${type} | null`
+    : type;
+};
+
+module.exports = {
+  JS_DOC_TYPE_MAP,
+  DRIVER_TYPE_MAP,
+  TRANSFORMERS,
+  jsTypeOf,
+  propertyTypeOf,
+  quote,
+};
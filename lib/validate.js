@@ -0,0 +1,459 @@
+const path = require("path");
+const vm = require("vm");
+const Module = require("module");
+const ts = require("typescript");
+const { parseSchemas, emitSchemas } = require("./converter");
+const { toDatabaseModel, sqlType } = require("./migrations");
+
+// What the converted entities are compiled to before they are loaded
+const COMPILER_OPTIONS = {
+  module: ts.ModuleKind.CommonJS,
+  target: ts.ScriptTarget.ES2020,
+  experimentalDecorators: true,
+  esModuleInterop: true,
+};
+
+/**
+ * In-process engines a DataSource of each dialect runs on, as DataSource
+ * options. Nothing is synchronized, TypeORM only connects and builds its
+ * metadata.
+ */
+const ENGINES = {
+  pg: () => {
+    const { newDb, DataType } = require("pg-mem");
+    const db = newDb();
+    // Asked for by the Postgres driver when it connects
+    db.public.registerFunction({
+      name: "version",
+      returns: DataType.text,
+      implementation: () => "PostgreSQL 16.0 (pg-mem)",
+    });
+    db.public.registerFunction({
+      name: "current_database",
+      returns: DataType.text,
+      implementation: () => "validate",
+    });
+    return { type: "postgres", driver: db.adapters.createPg() };
+  },
+  sqlite: () => ({ type: "sqljs", driver: require("sql.js") }),
+};
+
+// Column fields compared between the Drizzle model and TypeORM
+const COLUMN_FIELDS = [
+  "type",
+  "nullable",
+  "primary",
+  "increment",
+  "identity",
+  "generatedAs",
+];
+
+/**
+ * Evaluates the converted files in memory, each as a CommonJS module whose
+ * relative imports resolve among the others and whose other imports
+ * (`typeorm`) resolve from this package.
+ *
+ * @param {Record<string, string>} files - Output file name to file content
+ * @returns {object[]} Exports of every file
+ */
+function loadModules(files) {
+  const sources = new Map(
+    Object.entries(files).map(([file, content]) => [
+      path.resolve(file),
+      content,
+    ])
+  );
+  const modules = new Map();
+
+  const resolve = (from, specifier) => {
+    const base = path.resolve(path.dirname(from), specifier);
+    const stem = base.replace(/\.[cm]?js$/, "");
+    return [
+      base,
+      `${stem}.js`,
+      `${stem}.ts`,
+      path.join(base, "index.js"),
+      path.join(base, "index.ts"),
+    ].find((f) => sources.has(f));
+  };
+
+  const load = (fileName) => {
+    if (modules.has(fileName)) return modules.get(fileName).exports;
+    const mod = new Module(fileName, module);
+    mod.filename = fileName;
+    modules.set(fileName, mod);
+
+    const { outputText } = ts.transpileModule(sources.get(fileName), {
+      compilerOptions: COMPILER_OPTIONS,
+      fileName,
+    });
+    const localRequire = (specifier) => {
+      if (!specifier.startsWith(".")) return require(specifier);
+      const target = resolve(fileName, specifier);
+      if (!target)
+        throw new Error(`❌ ${fileName} imports missing module ${specifier}`);
+      return load(target);
+    };
+    vm.runInThisContext(Module.wrap(outputText), { filename: fileName })(
+      mod.exports,
+      localRequire,
+      mod,
+      fileName,
+      path.dirname(fileName)
+    );
+    return mod.exports;
+  };
+
+  return [...sources.keys()].map(load);
+}
+
+/**
+ * EntitySchemas and entity classes among the exports of the loaded files.
+ */
+function collectEntities(exports) {
+  const { EntitySchema, getMetadataArgsStorage } = require("typeorm");
+  const { tables } = getMetadataArgsStorage();
+  const entities = new Set();
+  exports.forEach((exported) =>
+    Object.values(exported).forEach((value) => {
+      if (
+        value instanceof EntitySchema ||
+        (typeof value === "function" && tables.some((t) => t.target === value))
+      )
+        entities.add(value);
+    })
+  );
+  return [...entities];
+}
+
+const isEnum = (type) => type === "enum" || type === "simple-enum";
+
+/**
+ * Spells a column type the way the driver normalizes it, e.g. `int` as
+ * `integer` on Postgres, so that aliases of one type compare equal.
+ */
+const normalizeType = (driver, column) =>
+  isEnum(column.type) ? column.type : driver.normalizeType(column);
+
+/**
+ * The parsed model as the emitted entities declare it to TypeORM: with
+ * driver-normalized column types and, outside the decorators format,
+ * identity columns as the `generated: 'increment'` the IDENTITY_COLUMN
+ * warning announces.
+ */
+function asEmitted(model, driver, format) {
+  const asColumn = (col) => {
+    const emitted = { ...col, type: normalizeType(driver, col) };
+    if (col.generated === "identity" && format !== "decorators") {
+      emitted.generated = "increment";
+      delete emitted.generatedIdentity;
+    }
+    return emitted;
+  };
+  return {
+    ...model,
+    entities: Object.fromEntries(
+      Object.entries(model.entities).map(([name, data]) => [
+        name,
+        {
+          ...data,
+          columns: Object.fromEntries(
+            Object.entries(data.columns).map(([key, col]) => [
+              key,
+              asColumn(col),
+            ])
+          ),
+        },
+      ])
+    ),
+  };
+}
+
+/**
+ * Reads the entity metadata TypeORM built into the shape of the
+ * toDatabaseModel() model, so that both can be compared.
+ */
+function metadataModel(dataSource, dialect) {
+  const model = { tables: {}, views: {} };
+
+  dataSource.entityMetadatas.forEach((meta) => {
+    // Views managed outside of Drizzle are not part of the model either
+    if (!meta.synchronize) return;
+    const name = meta.schema
+      ? `${meta.schema}.${meta.tableName}`
+      : meta.tableName;
+    if (meta.tableType === "view") {
+      model.views[name] = {};
+      return;
+    }
+
+    const table = { columns: {}, indices: {}, uniques: [], foreignKeys: [] };
+    model.tables[name] = table;
+
+    meta.columns.forEach((c) => {
+      const cfg = {
+        type: normalizeType(dataSource.driver, c),
+        enum: c.enum,
+        enumName: c.enumName,
+        length: c.length ? Number(c.length) : undefined,
+        precision: c.precision ?? undefined,
+        scale: c.scale ?? undefined,
+        array: c.isArray,
+        generated: c.generationStrategy,
+      };
+      table.columns[c.databaseName] = {
+        type: sqlType(
+          cfg,
+          meta.tableName,
+          c.databaseName,
+          dialect,
+          meta.schema
+        ),
+        nullable: c.isNullable && !c.isPrimary,
+        primary: c.isPrimary,
+        increment: c.generationStrategy === "increment",
+        identity:
+          c.generationStrategy === "identity"
+            ? c.generatedIdentity ?? "ALWAYS"
+            : undefined,
+        generatedAs:
+          c.asExpression !== undefined
+            ? `GENERATED ALWAYS AS (${c.asExpression}) ${c.generatedType}`
+            : undefined,
+      };
+    });
+
+    meta.indices.forEach((ix) => {
+      // Unnamed unique indices are how MySQL keeps unique constraints
+      if (!ix.givenName) {
+        if (ix.isUnique)
+          table.uniques.push(ix.columns.map((c) => c.databaseName));
+        return;
+      }
+      table.indices[ix.givenName] = {
+        columns:
+          ix.synchronize === false
+            ? undefined
+            : ix.columns.map((c) => c.databaseName),
+        unique: ix.isUnique,
+      };
+    });
+    meta.uniques.forEach((uq) =>
+      table.uniques.push(uq.columns.map((c) => c.databaseName))
+    );
+
+    meta.foreignKeys.forEach((fk) =>
+      table.foreignKeys.push({
+        columns: fk.columnNames,
+        refTable: fk.referencedTablePath,
+        refColumns: fk.referencedColumnNames,
+        onDelete: fk.onDelete,
+        onUpdate: fk.onUpdate,
+      })
+    );
+  });
+
+  return model;
+}
+
+const show = (v) => (v === undefined ? "unset" : JSON.stringify(v));
+
+/** `"email"` -> `email`, or undefined for an expression or ordered column. */
+const plainColumn = (element) => /^(["`])([^"`]+)\1$/.exec(element)?.[2];
+
+const fkKey = (fk) =>
+  `(${fk.columns.join(", ")}) -> ${fk.refTable}(${fk.refColumns.join(", ")})`;
+
+/**
+ * Every difference between the model parsed from the Drizzle source and the
+ * one read from TypeORM's metadata, as messages.
+ */
+function compareModels(expected, actual) {
+  const mismatches = [];
+  const report = (message) => mismatches.push(message);
+
+  Object.keys(expected.views).forEach((name) => {
+    if (!actual.views[name]) report(`View ${name} is missing from TypeORM`);
+  });
+  Object.keys(actual.views).forEach((name) => {
+    if (!expected.views[name])
+      report(`TypeORM declares view ${name} that the Drizzle schema does not`);
+  });
+
+  Object.entries(expected.tables).forEach(([name, table]) => {
+    const other = actual.tables[name];
+    if (!other) {
+      report(`Table ${name} is missing from TypeORM`);
+      return;
+    }
+
+    Object.entries(table.columns).forEach(([c, col]) => {
+      const otherCol = other.columns[c];
+      if (!otherCol) {
+        report(`Column ${name}.${c} is missing from TypeORM`);
+        return;
+      }
+      COLUMN_FIELDS.forEach((field) => {
+        // Whether a column is nullable is only ever true or false
+        const [want, got] =
+          field === "nullable"
+            ? [!!col.nullable, !!otherCol.nullable]
+            : [col[field], otherCol[field]];
+        if (want !== got)
+          report(
+            `Column ${name}.${c} has ${field} ${show(
+              want
+            )} in Drizzle but ${show(got)} in TypeORM`
+          );
+      });
+    });
+    Object.keys(other.columns).forEach((c) => {
+      if (!table.columns[c])
+        report(
+          `TypeORM adds column ${name}.${c} that the Drizzle schema does not declare`
+        );
+    });
+
+    Object.entries(table.indices).forEach(([ix, index]) => {
+      const otherIndex = other.indices[ix];
+      if (!otherIndex) {
+        report(`Index ${ix} on ${name} is missing from TypeORM`);
+        return;
+      }
+      if (!!index.unique !== !!otherIndex.unique)
+        report(
+          `Index ${ix} on ${name} is ${
+            index.unique ? "" : "not "
+          }unique in Drizzle but ${otherIndex.unique ? "" : "not "}in TypeORM`
+        );
+      const columns = index.elements.map(plainColumn);
+      if (
+        otherIndex.columns &&
+        columns.every(Boolean) &&
+        columns.join(", ") !== otherIndex.columns.join(", ")
+      )
+        report(
+          `Index ${ix} on ${name} is on (${columns.join(
+            ", "
+          )}) in Drizzle but on (${otherIndex.columns.join(", ")}) in TypeORM`
+        );
+    });
+    Object.keys(other.indices).forEach((ix) => {
+      if (!table.indices[ix])
+        report(
+          `TypeORM adds index ${ix} on ${name} that the Drizzle schema does not declare`
+        );
+    });
+
+    const uniqueKeys = (uniques) =>
+      new Set(uniques.map((columns) => [...columns].sort().join(", ")));
+    const wantUniques = uniqueKeys(
+      Object.values(table.uniques).map((uq) => uq.columns)
+    );
+    const gotUniques = uniqueKeys(other.uniques);
+    wantUniques.forEach((key) => {
+      if (!gotUniques.has(key))
+        report(`Unique constraint on ${name}(${key}) is missing from TypeORM`);
+    });
+    gotUniques.forEach((key) => {
+      if (!wantUniques.has(key))
+        report(
+          `TypeORM adds a unique constraint on ${name}(${key}) that the Drizzle schema does not declare`
+        );
+    });
+
+    const otherFks = new Map(other.foreignKeys.map((fk) => [fkKey(fk), fk]));
+    const wantFks = new Set();
+    Object.values(table.foreignKeys).forEach((fk) => {
+      const key = fkKey(fk);
+      wantFks.add(key);
+      const otherFk = otherFks.get(key);
+      if (!otherFk) {
+        report(`Foreign key ${name}${key} is missing from TypeORM`);
+        return;
+      }
+      ["onDelete", "onUpdate"].forEach((action) => {
+        const want = fk[action] ?? "NO ACTION";
+        if (want !== otherFk[action])
+          report(
+            `Foreign key ${name}${key} has ${action} ${want} in Drizzle but ${otherFk[action]} in TypeORM`
+          );
+      });
+    });
+    otherFks.forEach((fk, key) => {
+      if (!wantFks.has(key))
+        report(
+          `TypeORM adds foreign key ${name}${key} that the Drizzle schema does not declare`
+        );
+    });
+  });
+
+  Object.keys(actual.tables).forEach((name) => {
+    if (!expected.tables[name])
+      report(
+        `TypeORM adds table ${name} that the Drizzle schema does not declare`
+      );
+  });
+
+  return mismatches;
+}
+
+/**
+ * Converts Drizzle schema sources, loads the result into a TypeORM
+ * DataSource on an in-process engine (pg-mem for Postgres, sql.js for
+ * SQLite) and compares the tables, columns, indices and foreign keys TypeORM
+ * builds with the model parsed from the sources. No database is needed.
+ *
+ * @param {{ fileName: string, content: string }[]} filesInput
+ * @param {Parameters<typeof parseSchemas>[1] & Parameters<typeof emitSchemas>[1]} [options]
+ * @returns {Promise<{ mismatches: string[], entities: number, diagnostics: import("./diagnostics").Diagnostic[] }>}
+ *   Every difference found, or the error TypeORM rejected the entities with
+ */
+async function validateSchemas(filesInput, options = {}) {
+  const model = parseSchemas(filesInput, options);
+  const { diagnostics } = model;
+  const { dialect } = toDatabaseModel(model);
+  if (!ENGINES[dialect]) {
+    throw new Error(
+      `❌ No in-process engine to validate ${dialect} schemas with, only ${Object.keys(
+        ENGINES
+      ).join(" and ")} are supported`
+    );
+  }
+
+  const entities = collectEntities(loadModules(emitSchemas(model, options)));
+
+  const { DataSource } = require("typeorm");
+  const dataSource = new DataSource({
+    ...ENGINES[dialect](),
+    entities,
+    logging: false,
+  });
+  try {
+    await dataSource.initialize();
+  } catch (err) {
+    return {
+      mismatches: [`TypeORM rejects the entities: ${err.message}`],
+      entities: entities.length,
+      diagnostics,
+    };
+  }
+
+  try {
+    const expected = toDatabaseModel(
+      asEmitted(model, dataSource.driver, options.format)
+    );
+    const actual = metadataModel(dataSource, dialect);
+    return {
+      mismatches: compareModels(expected, actual),
+      entities: entities.length,
+      diagnostics,
+    };
+  } finally {
+    await dataSource.destroy();
+  }
+}
+
+module.exports = {
+  validateSchemas,
+};
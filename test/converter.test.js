@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { convertSchemas } = require("../lib/converter");
+
+const convert = (content, format = "cjs") =>
+  Object.values(
+    convertSchemas([{ fileName: "/schema/schema.ts", content }], { format })
+      .files
+  ).join("\n");
+
+const schema = `
+import { pgTable, serial, integer, text, unique, foreignKey } from "drizzle-orm/pg-core";
+import { relations } from "drizzle-orm";
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  email: text("email").unique(),
+});
+
+export const posts = pgTable("posts", {
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id").references(() => users.id),
+  editorId: integer("editor_id"),
+  title: text("title"),
+}, (t) => [
+  foreignKey({ columns: [t.editorId], foreignColumns: [users.id] }),
+  unique().on(t.title),
+]);
+
+export const postsRelations = relations(posts, ({ one }) => ({
+  author: one(users, { fields: [posts.authorId], references: [users.id] }),
+}));
+`;
+
+test("unnamed constraints get drizzle's default names", () => {
+  const cjs = convert(schema);
+  assert.match(cjs, /name: 'users_email_unique', columns: \['email'\]/);
+  assert.match(cjs, /name: 'posts_title_unique', columns: \['title'\]/);
+  assert.match(
+    cjs,
+    /joinColumn: \{ name: 'author_id', foreignKeyConstraintName: 'posts_author_id_users_id_fk' \}/
+  );
+  assert.match(cjs, /foreignKeyConstraintName: 'posts_editor_id_users_id_fk'/);
+
+  const decorators = convert(schema, "decorators");
+  assert.match(decorators, /@Unique\('users_email_unique', \['email'\]\)/);
+  assert.match(
+    decorators,
+    /@JoinColumn\(\{ name: 'author_id', foreignKeyConstraintName: 'posts_author_id_users_id_fk' \}\)/
+  );
+});
+
+test("unmanaged indexes keep unique and where", () => {
+  const indexed = `
+import { pgTable, serial, text, boolean, uniqueIndex } from "drizzle-orm/pg-core";
+import { sql } from "drizzle-orm";
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  email: text("email"),
+  active: boolean("active"),
+}, (t) => [
+  uniqueIndex("users_lower_email").on(sql\`lower(\${t.email})\`).where(sql\`\${t.active}\`),
+]);
+`;
+  assert.match(
+    convert(indexed),
+    /\{ name: 'users_lower_email', synchronize: false, unique: true, where: '"active"' \}/
+  );
+  assert.match(
+    convert(indexed, "decorators"),
+    /@Index\('users_lower_email', \{ synchronize: false, unique: true, where: '"active"' \}\)/
+  );
+});
+
+test("enum values are escaped in the emitted source", () => {
+  const quoted = `
+import { pgTable, pgEnum, serial } from "drizzle-orm/pg-core";
+
+export const status = pgEnum("status", ["it's", "ok"]);
+
+export const items = pgTable("items", {
+  id: serial("id").primaryKey(),
+  status: status("status"),
+});
+`;
+  const cjs = convert(quoted);
+  assert.doesNotThrow(() => new Function("require", "module", cjs));
+  assert.match(cjs, /enum: \['it\\'s', 'ok'\]/);
+  assert.match(
+    convert(quoted, "decorators"),
+    /enum: \['it\\'s', 'ok'\][^\n]*\n {2}status!: 'it\\'s' \| 'ok' \| null;/
+  );
+});
+
+test("sqlite timestamp modes stay epoch integers", () => {
+  const cjs = convert(`
+import { sqliteTable, integer } from "drizzle-orm/sqlite-core";
+
+export const events = sqliteTable("events", {
+  id: integer("id").primaryKey(),
+  at: integer("at", { mode: "timestamp" }),
+  atMs: integer("at_ms", { mode: "timestamp_ms" }),
+});
+`);
+  assert.doesNotMatch(cjs, /datetime/);
+  assert.match(
+    cjs,
+    /at: \{\n\s+type: 'integer',\n\s+nullable: true,\n\s+transformer: \{ from: \(v\) => \(v == null \? v : new Date\(v \* 1000\)\)/
+  );
+  assert.match(
+    cjs,
+    /name: 'at_ms',\n\s+nullable: true,\n\s+transformer: \{ from: \(v\) => \(v == null \? v : new Date\(v\)\)/
+  );
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { globToRegExp, findSchemaFiles } = require("../lib/discovery");
+
+test("globToRegExp matches like a shell glob", () => {
+  const cases = [
+    // glob, path, matches
+    ["**/*.ts", "schema.ts", true],
+    ["**/*.ts", "db/tables/users.ts", true],
+    ["**/*.ts", "schema.js", false],
+    ["*.ts", "schema.ts", true],
+    ["*.ts", "db/schema.ts", false],
+    ["db/**/*.ts", "db/schema.ts", true],
+    ["db/**/*.ts", "db/tables/users.ts", true],
+    ["db/**/*.ts", "lib/schema.ts", false],
+    ["db/**", "db/tables/users.ts", true],
+    ["**/node_modules/**", "node_modules/", true],
+    ["**/node_modules/**", "db/node_modules/x/index.ts", true],
+    ["db/schema?.ts", "db/schema1.ts", true],
+    ["db/schema?.ts", "db/schema12.ts", false],
+    ["**/*.{js,ts}", "db/schema.js", true],
+    ["**/*.{js,ts}", "db/schema.mjs", false],
+    ["schema.ts", "schemaxts", false],
+  ];
+  for (const [glob, file, matches] of cases)
+    assert.strictEqual(
+      globToRegExp(glob).test(file),
+      matches,
+      `${glob} ${matches ? "should" : "should not"} match ${file}`
+    );
+});
+
+test("findSchemaFiles applies excludes over includes", (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  [
+    "schema.ts",
+    "schema.d.ts",
+    "schema.test.ts",
+    "db/users.ts",
+    "db/posts.js",
+    "db/legacy/old.ts",
+    "node_modules/pkg/index.ts",
+    ".cache/schema.ts",
+  ].forEach((file) => {
+    fs.mkdirSync(path.dirname(path.join(tmp, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmp, file), "");
+  });
+  const find = (options) =>
+    findSchemaFiles(tmp, options).map((file) =>
+      path.relative(tmp, file).split(path.sep).join("/")
+    );
+
+  const cases = [
+    // options, files found
+    [{}, ["db/legacy/old.ts", "db/users.ts", "schema.ts"]],
+    [{ include: ["db/**/*.ts"] }, ["db/legacy/old.ts", "db/users.ts"]],
+    [{ include: ["*.ts"] }, ["schema.ts"]],
+    [
+      { include: ["**/*.{js,ts}"] },
+      ["db/legacy/old.ts", "db/posts.js", "db/users.ts", "schema.ts"],
+    ],
+    [{ exclude: ["db/legacy/**"] }, ["db/users.ts", "schema.ts"]],
+    [
+      { include: ["db/**/*.ts"], exclude: ["**/users.ts"] },
+      ["db/legacy/old.ts"],
+    ],
+    // The default excludes hold even for files included by name
+    [{ include: ["schema.d.ts", "schema.test.ts", "node_modules/**"] }, []],
+  ];
+  for (const [options, found] of cases)
+    assert.deepStrictEqual(find(options), found, JSON.stringify(options));
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { diffGitSchemas, fetchAndConvertSchemas } = require("..");
+
+const users = `
+import { pgTable, serial, text } from "drizzle-orm/pg-core";
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  COLUMNS
+});
+
+export const audit = pgTable("audit", {
+  id: serial("id").primaryKey(),
+  AUDIT
+});
+`;
+
+test("migrate-git honours the config file", async (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const repo = path.join(tmp, "repo");
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: repo, stdio: "pipe" }
+    );
+  const commit = (columns, audit, tag) => {
+    fs.writeFileSync(
+      path.join(repo, "schema", "users.ts"),
+      users.replace("COLUMNS", columns).replace("AUDIT", audit)
+    );
+    git("add", "-A");
+    git("commit", "-qm", tag);
+    git("tag", tag);
+  };
+
+  fs.mkdirSync(path.join(repo, "schema"), { recursive: true });
+  git("init", "-q");
+  commit("", "", "v1");
+  commit('email: text("email"),', 'action: text("action"),', "v2");
+
+  const config = path.join(tmp, "drizzle-to-typeorm.config.js");
+  fs.writeFileSync(
+    config,
+    `module.exports = { format: "ts", excludeTables: ["audit"] };`
+  );
+
+  const out = path.join(tmp, "migrations");
+  const written = await diffGitSchemas(repo, "schema", "v1", "v2", out, {
+    config,
+    quiet: true,
+  });
+
+  assert.match(written, /\.ts$/);
+  const migration = fs.readFileSync(written, "utf8");
+  assert.match(migration, /ALTER TABLE "users" ADD "email" text/);
+  assert.doesNotMatch(migration, /audit/);
+});
+
+test("fetch points diagnostics into the repo, not its deleted clone", async (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const repo = path.join(tmp, "repo");
+  fs.mkdirSync(path.join(repo, "db"), { recursive: true });
+  fs.writeFileSync(
+    path.join(repo, "db", "schema.ts"),
+    `import { pgTable, serial } from "drizzle-orm/pg-core";
+export const t = pgTable("t", { id: serial("id").primaryKey().$default(() => 1) });
+`
+  );
+  const git = (...args) =>
+    execFileSync(
+      "git",
+      ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+      { cwd: repo, stdio: "pipe" }
+    );
+  git("init", "-q");
+  git("add", "-A");
+  git("commit", "-qm", "schema");
+
+  const warn = t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "log", () => {});
+  const url = `file://${repo}`;
+  await fetchAndConvertSchemas(url, "db", path.join(tmp, "out"));
+
+  const [line] = warn.mock.calls.map((c) => c.arguments[0]);
+  assert.ok(
+    line.startsWith(`⚠️  ${url}/db/schema.ts:2:`),
+    `${line} should point into ${url}`
+  );
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { generateMigration } = require("../lib/migrations");
+
+const schema = (posts) => [
+  {
+    fileName: "/schema/schema.ts",
+    content: `
+import { pgTable, serial, bigserial, integer, text, unique, foreignKey, index } from "drizzle-orm/pg-core";
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  email: text("email").unique(),
+});
+
+export const posts = pgTable("posts", ${posts});
+`,
+  },
+];
+
+const statements = (migration, method) =>
+  [
+    ...migration.content
+      .split(`${method}(queryRunner`)[1]
+      .split(/\n  \}/)[0]
+      .matchAll(/queryRunner\.query\(`(.*)`\);/g),
+  ].map((m) => m[1]);
+
+test("unnamed constraints are dropped and added under drizzle-kit's names", () => {
+  const before = schema(`{
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id").references(() => users.id),
+  editorId: integer("editor_id"),
+  slug: text("slug").unique(),
+  title: text("title"),
+}, (t) => [
+  foreignKey({ columns: [t.editorId], foreignColumns: [users.id] }),
+  unique().on(t.title, t.slug),
+])`);
+  const after = schema(`{
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id"),
+  editorId: integer("editor_id"),
+  slug: text("slug"),
+  title: text("title"),
+})`);
+
+  const migration = generateMigration(before, after, { timestamp: 1 });
+  assert.deepStrictEqual(statements(migration, "up"), [
+    'ALTER TABLE "posts" DROP CONSTRAINT "posts_author_id_users_id_fk"',
+    'ALTER TABLE "posts" DROP CONSTRAINT "posts_editor_id_users_id_fk"',
+    'ALTER TABLE "posts" DROP CONSTRAINT "posts_slug_unique"',
+    'ALTER TABLE "posts" DROP CONSTRAINT "posts_title_slug_unique"',
+  ]);
+  assert.deepStrictEqual(statements(migration, "down"), [
+    'ALTER TABLE "posts" ADD CONSTRAINT "posts_slug_unique" UNIQUE ("slug")',
+    'ALTER TABLE "posts" ADD CONSTRAINT "posts_title_slug_unique" UNIQUE ("title", "slug")',
+    'ALTER TABLE "posts" ADD CONSTRAINT "posts_author_id_users_id_fk" FOREIGN KEY ("author_id") REFERENCES "users"("id")',
+    'ALTER TABLE "posts" ADD CONSTRAINT "posts_editor_id_users_id_fk" FOREIGN KEY ("editor_id") REFERENCES "users"("id")',
+  ]);
+});
+
+test("a new table names its unnamed unique constraints like drizzle-kit", () => {
+  const migration = generateMigration(
+    [],
+    schema(`{ id: serial("id").primaryKey() }`),
+    {
+      timestamp: 1,
+    }
+  );
+  assert.match(
+    statements(migration, "up")[0],
+    /CONSTRAINT "users_email_unique" UNIQUE \("email"\)/
+  );
+});
+
+test("added enum values run outside of a transaction", () => {
+  const mood = (values) => [
+    {
+      fileName: "/schema/schema.ts",
+      content: `
+import { pgTable, pgEnum, serial } from "drizzle-orm/pg-core";
+
+export const mood = pgEnum("mood", [${values}]);
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  mood: mood("mood"),
+});
+`,
+    },
+  ];
+
+  const migration = generateMigration(mood(`"ok"`), mood(`"ok", "sad"`), {
+    timestamp: 1,
+  });
+  assert.deepStrictEqual(statements(migration, "up"), [
+    `ALTER TYPE "mood" ADD VALUE 'sad'`,
+  ]);
+  assert.deepStrictEqual(
+    statements(generateMigration(mood(`"ok"`), mood(`"ok", "it's"`)), "up"),
+    [`ALTER TYPE "mood" ADD VALUE 'it''s'`]
+  );
+  assert.match(migration.content, /\n {2}transaction = false;\n/);
+  assert.match(migration.warnings.join("\n"), /migrationsTransactionMode/);
+});
+
+test("indexes built concurrently run outside of a transaction", () => {
+  const before = schema(
+    `{ id: serial("id").primaryKey(), title: text("title") }`
+  );
+  const after =
+    schema(`{ id: serial("id").primaryKey(), title: text("title") }, (t) => [
+  index("posts_title_idx").on(t.title).concurrently(),
+]`);
+
+  const migration = generateMigration(before, after, { timestamp: 1 });
+  assert.deepStrictEqual(statements(migration, "up"), [
+    'CREATE INDEX CONCURRENTLY "posts_title_idx" ON "posts" ("title")',
+  ]);
+  assert.deepStrictEqual(statements(migration, "down"), [
+    'DROP INDEX "posts_title_idx"',
+  ]);
+  assert.match(migration.content, /\n {2}transaction = false;\n/);
+  assert.match(migration.warnings.join("\n"), /migrationsTransactionMode/);
+});
+
+test("a column dropped while one of its type is added is flagged as a rename", () => {
+  const before = schema(`{
+  id: serial("id").primaryKey(),
+  title: text("title"),
+}`);
+  const after = schema(`{
+  id: serial("id").primaryKey(),
+  heading: text("heading"),
+}`);
+
+  const migration = generateMigration(before, after, { timestamp: 1 });
+  assert.deepStrictEqual(statements(migration, "up"), [
+    'ALTER TABLE "posts" ADD "heading" text',
+    'ALTER TABLE "posts" DROP COLUMN "title"',
+  ]);
+  assert.doesNotMatch(migration.content, /transaction = false/);
+  assert.ok(
+    migration.warnings.includes(
+      "posts.title looks renamed to heading, which is dropped and added and loses its data, write a RENAME COLUMN by hand"
+    )
+  );
+});
+
+test("a serial widened to bigserial alters its base type and sequence", () => {
+  const before = schema(`{ id: serial("id").primaryKey() }`);
+  const after = schema(
+    `{ id: bigserial("id", { mode: "number" }).primaryKey() }`
+  );
+
+  const migration = generateMigration(before, after, { timestamp: 1 });
+  assert.deepStrictEqual(statements(migration, "up"), [
+    'ALTER TABLE "posts" ALTER COLUMN "id" TYPE bigint USING "id"::text::bigint',
+    'ALTER SEQUENCE "posts_id_seq" AS bigint',
+  ]);
+  assert.deepStrictEqual(statements(migration, "down"), [
+    'ALTER TABLE "posts" ALTER COLUMN "id" TYPE integer USING "id"::text::integer',
+    'ALTER SEQUENCE "posts_id_seq" AS integer',
+  ]);
+});
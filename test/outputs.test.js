@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const bin = path.join(__dirname, "..", "bin", "drizzle-to-typeorm.js");
+
+const users = `
+import { pgTable, serial, text } from "drizzle-orm/pg-core";
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  name: text("name"),
+});
+`;
+
+test("--check and --dry-run exit codes follow the generated outputs", (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const input = path.join(tmp, "schema");
+  const output = path.join(tmp, "entities");
+  fs.mkdirSync(input);
+  fs.writeFileSync(path.join(input, "users.ts"), users);
+
+  const run = (...flags) =>
+    spawnSync(
+      process.execPath,
+      [bin, "convert", input, output, "-t", ...flags],
+      {
+        encoding: "utf8",
+      }
+    );
+
+  assert.strictEqual(run("--check").status, 1);
+  assert.strictEqual(run("--dry-run").status, 0);
+  assert.strictEqual(run().status, 0);
+  assert.strictEqual(run("--check").status, 0);
+
+  // Hand-written files next to the outputs are none of the tool's business
+  fs.writeFileSync(path.join(output, "helpers.js"), "module.exports = {};\n");
+  assert.strictEqual(run("--check").status, 0);
+
+  // Outputs of a renamed schema file, declarations included, are orphaned
+  fs.renameSync(path.join(input, "users.ts"), path.join(input, "people.ts"));
+  const check = run("--check");
+  assert.strictEqual(check.status, 1);
+  assert.match(check.stdout, /\+\+\+ \/dev\/null\n@@ -1,\d+ \+0,0 @@/);
+  const dryRun = run("--dry-run");
+  assert.strictEqual(dryRun.status, 0);
+  const listed = dryRun.stdout.match(/^ {2}\w+ .*$/gm).map((l) => l.trim());
+  assert.deepStrictEqual(
+    listed.map((l) => `${l.split(" ")[0]} ${path.basename(l)}`),
+    [
+      "create people.d.ts",
+      "create people.js",
+      "orphaned users.d.ts",
+      "orphaned users.js",
+    ]
+  );
+});
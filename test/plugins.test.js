@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseSchemas,
+  emitSchemas,
+  convertSchemas,
+} = require("../lib/converter");
+
+const files = [
+  {
+    fileName: "/schema/schema.ts",
+    content: `
+import { pgTable, pgEnum, serial, integer, text, timestamp, index } from "drizzle-orm/pg-core";
+import { relations } from "drizzle-orm";
+
+export const role = pgEnum("role", ["admin", "member"]);
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull().default("anonymous"),
+  role: role("role"),
+});
+
+export const posts = pgTable("posts", {
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id").references(() => users.id),
+  createdAt: timestamp("created_at").defaultNow(),
+}, (t) => [index("posts_author_idx").on(t.authorId)]);
+
+export const postsRelations = relations(posts, ({ one }) => ({
+  author: one(users, { fields: [posts.authorId], references: [users.id] }),
+}));
+`,
+  },
+];
+
+test("plugin hooks change the model and the emitted files", () => {
+  const seen = [];
+  const plugins = [
+    {
+      onEntity: (entity, { name }) => {
+        entity.columns.deletedAt = {
+          type: "timestamp",
+          name: "deleted_at",
+          nullable: true,
+          deleteDate: true,
+        };
+        seen.push(name);
+      },
+      onColumn: (column, { entityName, name }) => {
+        if (entityName === "Users" && name === "name") column.length = 80;
+      },
+      onRelation: (relation) => {
+        relation.onDelete = "SET NULL";
+      },
+    },
+    {
+      onEmit: (emitted, { format }) =>
+        Object.fromEntries(
+          Object.entries(emitted).map(([file, content]) => [
+            file,
+            `// ${format}\n${content}`,
+          ])
+        ),
+    },
+  ];
+
+  const { files: out } = convertSchemas(files, { plugins });
+  const cjs = out["/schema/schema.js"];
+  assert.deepStrictEqual(seen, ["Users", "Posts"]);
+  assert.ok(cjs.startsWith("// cjs\n"));
+  assert.strictEqual(cjs.match(/deleteDate: true/g).length, 2);
+  assert.match(cjs, /name: \{\n\s+type: 'text',\n\s+length: 80,/);
+  assert.match(cjs, /onDelete: 'SET NULL',/);
+});
+
+test("the model survives a JSON round trip unchanged", () => {
+  const model = parseSchemas(files);
+  const json = JSON.stringify(model);
+  const parsed = JSON.parse(json);
+  assert.strictEqual(JSON.stringify(parsed), json);
+  for (const format of ["cjs", "ts", "decorators"])
+    assert.deepStrictEqual(
+      emitSchemas(parsed, { format }),
+      convertSchemas(files, { format }).files
+    );
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { convertSchemas, parseSchemas } = require("../lib/converter");
+const { reverseSchemas } = require("../lib/reverse");
+
+const schema = `
+import { pgTable, pgEnum, serial, integer, text, varchar, boolean, timestamp, foreignKey } from "drizzle-orm/pg-core";
+import { relations } from "drizzle-orm";
+
+export const role = pgEnum("role", ["admin", "member"]);
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  email: varchar("email", { length: 255 }).notNull().unique(),
+  role: role("role").default("member"),
+  active: boolean("active").notNull().default(true),
+});
+
+export const usersRelations = relations(users, ({ many }) => ({
+  posts: many(posts),
+}));
+
+export const posts = pgTable("posts", {
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  editorId: integer("editor_id"),
+  title: text("title").notNull(),
+  publishedAt: timestamp("published_at", { withTimezone: true }),
+}, (t) => [
+  foreignKey({ name: "posts_editor_fk", columns: [t.editorId], foreignColumns: [users.id] }),
+]);
+
+export const postsRelations = relations(posts, ({ one }) => ({
+  author: one(users, { fields: [posts.authorId], references: [users.id] }),
+  editor: one(users, { fields: [posts.editorId], references: [users.id] }),
+}));
+`;
+
+const files = [{ fileName: "/schema/schema.ts", content: schema }];
+
+// Source locations and files differ between the two, the rest may not
+const model = (input) =>
+  JSON.parse(
+    JSON.stringify(parseSchemas(input).entities, (k, v) =>
+      k === "location" || k === "file" ? undefined : v
+    )
+  );
+
+const reverse = () =>
+  reverseSchemas(
+    Object.entries(convertSchemas(files).files).map(([fileName, content]) => ({
+      fileName,
+      content,
+    }))
+  );
+
+test("convert, reverse and convert again gives the same model", () => {
+  const { files: reversed, issues } = reverse();
+  assert.deepStrictEqual(issues, []);
+  assert.deepStrictEqual(Object.keys(reversed), ["/schema/schema.ts"]);
+  assert.deepStrictEqual(
+    model(
+      Object.entries(reversed).map(([fileName, content]) => ({
+        fileName,
+        content,
+      }))
+    ),
+    model(files)
+  );
+});
+
+test("only foreign keys drizzle would not name so are declared apart", () => {
+  const content = reverse().files["/schema/schema.ts"];
+  assert.match(
+    content,
+    /authorId: integer\("author_id"\)\.notNull\(\)\.references\(\(\) => users\.id, \{ onDelete: "cascade" \}\),/
+  );
+  assert.match(
+    content,
+    /foreignKey\(\{ name: "posts_editor_fk", columns: \[t\.editorId\], foreignColumns: \[users\.id\] \}\)/
+  );
+});
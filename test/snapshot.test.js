@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseSchemas } = require("../lib/converter");
+const { toDatabaseModel } = require("../lib/migrations");
+const {
+  readSnapshot,
+  parseSnapshot,
+  convertSnapshot,
+} = require("../lib/snapshot");
+
+// What drizzle-kit 0.2x writes for the schema below
+const snapshot = {
+  id: "2b1f0c3e-0000-4000-8000-000000000000",
+  prevId: "00000000-0000-0000-0000-000000000000",
+  version: "7",
+  dialect: "postgresql",
+  tables: {
+    "public.users": {
+      name: "users",
+      schema: "",
+      columns: {
+        id: { name: "id", type: "serial", primaryKey: true, notNull: true },
+        email: {
+          name: "email",
+          type: "varchar(255)",
+          primaryKey: false,
+          notNull: true,
+        },
+        role: {
+          name: "role",
+          type: "role",
+          typeSchema: "public",
+          primaryKey: false,
+          notNull: false,
+          default: "'member'",
+        },
+      },
+      indexes: {},
+      foreignKeys: {},
+      compositePrimaryKeys: {},
+      uniqueConstraints: {
+        users_email_unique: {
+          name: "users_email_unique",
+          nullsNotDistinct: false,
+          columns: ["email"],
+        },
+      },
+    },
+    "public.posts": {
+      name: "posts",
+      schema: "",
+      columns: {
+        id: { name: "id", type: "serial", primaryKey: true, notNull: true },
+        author_id: {
+          name: "author_id",
+          type: "integer",
+          primaryKey: false,
+          notNull: true,
+        },
+        title: {
+          name: "title",
+          type: "text",
+          primaryKey: false,
+          notNull: false,
+        },
+      },
+      indexes: {},
+      foreignKeys: {
+        posts_author_id_users_id_fk: {
+          name: "posts_author_id_users_id_fk",
+          tableFrom: "posts",
+          tableTo: "users",
+          columnsFrom: ["author_id"],
+          columnsTo: ["id"],
+          onDelete: "cascade",
+          onUpdate: "no action",
+        },
+      },
+      compositePrimaryKeys: {},
+      uniqueConstraints: {},
+    },
+  },
+  enums: {
+    "public.role": {
+      name: "role",
+      schema: "public",
+      values: ["admin", "member"],
+    },
+  },
+  schemas: {},
+  _meta: { columns: {}, schemas: {}, tables: {} },
+};
+
+const schema = `
+import { pgTable, pgEnum, serial, integer, text, varchar } from "drizzle-orm/pg-core";
+
+export const role = pgEnum("role", ["admin", "member"]);
+
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  email: varchar("email", { length: 255 }).notNull().unique(),
+  role: role("role").default("member"),
+});
+
+export const posts = pgTable("posts", {
+  id: serial("id").primaryKey(),
+  authorId: integer("author_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  title: text("title"),
+});
+`;
+
+test("readSnapshot picks the newest snapshot of a drizzle-kit folder", (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const meta = path.join(tmp, "meta");
+  fs.mkdirSync(meta);
+  fs.writeFileSync(path.join(meta, "_journal.json"), "{}");
+  fs.writeFileSync(path.join(meta, "0009_snapshot.json"), '{"id":"old"}');
+  fs.writeFileSync(
+    path.join(meta, "0010_snapshot.json"),
+    JSON.stringify(snapshot)
+  );
+
+  const { source, snapshot: read } = readSnapshot(tmp);
+  assert.strictEqual(source, path.join(meta, "0010_snapshot.json"));
+  assert.deepStrictEqual(read, snapshot);
+  assert.strictEqual(readSnapshot(meta).source, source);
+  const empty = path.join(tmp, "empty");
+  fs.mkdirSync(empty);
+  assert.throws(() => readSnapshot(empty), /No drizzle-kit snapshot found/);
+});
+
+test("a snapshot parses into the database the schema describes", () => {
+  const model = parseSnapshot(snapshot, { file: "/schema/schema.ts" });
+  assert.deepStrictEqual(
+    model.diagnostics.map((d) => d.code),
+    ["FOREIGN_KEY_RELATION"]
+  );
+  assert.deepStrictEqual(
+    toDatabaseModel(model),
+    toDatabaseModel(
+      parseSchemas([{ fileName: "/schema/schema.ts", content: schema }])
+    )
+  );
+  assert.deepStrictEqual(
+    model.entities.Posts.relations.map((r) => [r.localName, r.toEntity]),
+    [["author", "Users"]]
+  );
+});
+
+test("convertSnapshot emits the entities in the requested format", () => {
+  const { files } = convertSnapshot(snapshot, {
+    file: "/schema/schema.ts",
+    format: "cjs",
+  });
+  assert.deepStrictEqual(Object.keys(files), ["/schema/schema.js"]);
+  const cjs = files["/schema/schema.js"];
+  assert.doesNotThrow(() => new Function("require", "module", cjs));
+  assert.match(cjs, /enum: \['admin', 'member'\],/);
+  assert.match(
+    cjs,
+    /joinColumn: \{ name: 'author_id', referencedColumnName: 'id', foreignKeyConstraintName: 'posts_author_id_users_id_fk' \},\n\s+onDelete: 'CASCADE',/
+  );
+  assert.throws(
+    () => convertSnapshot(snapshot, { file: "/schema/schema.ts", format: "x" }),
+    /Unknown output format: x/
+  );
+});
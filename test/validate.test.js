@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateSchemas } = require("../lib/validate");
+
+const files = [
+  {
+    fileName: "/schema/schema.ts",
+    content: `
+import { pgTable, integer, bigint, text, timestamp } from "drizzle-orm/pg-core";
+
+export const posts = pgTable("posts", {
+  id: integer("id").primaryKey().generatedAlwaysAsIdentity(),
+  seq: bigint("seq", { mode: "number" }).generatedByDefaultAsIdentity(),
+  title: text("title"),
+  at: timestamp("at", { withTimezone: true }),
+});
+`,
+  },
+];
+
+for (const format of ["cjs", "ts", "decorators"]) {
+  test(`identity columns and type aliases validate in ${format}`, async () => {
+    const { mismatches } = await validateSchemas(files, { format });
+    assert.deepStrictEqual(mismatches, []);
+  });
+}
+
+test("a column type TypeORM declares differently is a mismatch", async () => {
+  const { mismatches } = await validateSchemas(files, {
+    plugins: [
+      {
+        onEmit: (emitted) =>
+          Object.fromEntries(
+            Object.entries(emitted).map(([file, content]) => [
+              file,
+              content.replace("type: 'text'", "type: 'varchar'"),
+            ])
+          ),
+      },
+    ],
+  });
+  assert.deepStrictEqual(mismatches, [
+    'Column posts.title has type "text" in Drizzle but "character varying" in TypeORM',
+  ]);
+});
+
+const junction = [
+  {
+    fileName: "/schema/schema.ts",
+    content: `
+import { pgTable, serial, integer, primaryKey } from "drizzle-orm/pg-core";
+import { relations } from "drizzle-orm";
+
+export const posts = pgTable("posts", { id: serial("id").primaryKey() });
+export const tags = pgTable("tags", { id: serial("id").primaryKey() });
+export const postTags = pgTable(
+  "post_tags",
+  {
+    postId: integer("post_id").notNull().references(() => posts.id),
+    tagId: integer("tag_id")
+      .notNull()
+      .references(() => tags.id, { onDelete: "cascade" }),
+  },
+  (t) => ({ pk: primaryKey({ columns: [t.postId, t.tagId] }) })
+);
+export const postsRelations = relations(posts, ({ many }) => ({
+  postTags: many(postTags),
+}));
+export const tagsRelations = relations(tags, ({ many }) => ({
+  postTags: many(postTags),
+}));
+`,
+  },
+];
+
+for (const format of ["cjs", "decorators"]) {
+  test(`junction table foreign keys keep their actions in ${format}`, async () => {
+    const { mismatches } = await validateSchemas(junction, {
+      format,
+      junctionTables: true,
+    });
+    assert.deepStrictEqual(mismatches, []);
+  });
+}
+
+test("column references without relations() validate", async () => {
+  const { mismatches } = await validateSchemas([
+    {
+      fileName: "/schema/schema.ts",
+      content: `
+import { pgSchema, serial, integer } from "drizzle-orm/pg-core";
+
+export const auth = pgSchema("auth");
+export const users = auth.table("users", { id: serial("id").primaryKey() });
+export const sessions = auth.table("sessions", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").references(() => users.id, { onDelete: "cascade" }),
+});
+`,
+    },
+  ]);
+  assert.deepStrictEqual(mismatches, []);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { convertLocalSchemas, watchLocalSchemas } = require("..");
+
+const table = (name) => `
+import { pgTable, serial } from "drizzle-orm/pg-core";
+
+export const ${name} = pgTable("${name}", { id: serial("id").primaryKey() });
+`;
+
+/** Resolves once check() holds, polling well past the watch debounce. */
+const waitFor = async (check, what) => {
+  for (let i = 0; i < 150; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail(`timed out waiting for ${what}`);
+};
+
+test("watch removes stale outputs and survives files vanishing", async (t) => {
+  const tmp = fs.mkdtempSync(
+    path.join(os.tmpdir(), "drizzle-to-typeorm-test-")
+  );
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+  const input = path.join(tmp, "schema");
+  const output = path.join(tmp, "entities");
+  const src = (name) => path.join(input, `${name}.ts`);
+  const out = (name) => path.join(output, `${name}.js`);
+  fs.mkdirSync(input);
+  t.mock.method(console, "log", () => {});
+
+  // Outputs of an earlier run whose schema file is gone since
+  fs.writeFileSync(src("users"), table("users"));
+  fs.writeFileSync(src("posts"), table("posts"));
+  await convertLocalSchemas(input, output, { quiet: true });
+  fs.rmSync(src("posts"));
+  fs.writeFileSync(path.join(output, "helpers.js"), "module.exports = {};\n");
+
+  const watcher = await watchLocalSchemas(input, output, { quiet: true });
+  t.after(() => watcher.close());
+  assert.ok(fs.existsSync(out("users")));
+  assert.ok(!fs.existsSync(out("posts")));
+  assert.ok(fs.existsSync(path.join(output, "helpers.js")));
+
+  fs.writeFileSync(src("tags"), table("tags"));
+  await waitFor(() => fs.existsSync(out("tags")), "tags.js");
+
+  // A file deleted between being listed and read is skipped
+  const error = t.mock.method(console, "error", () => {});
+  const { readFileSync } = fs;
+  const read = t.mock.method(fs, "readFileSync", (file, ...rest) => {
+    if (file === src("tags"))
+      throw Object.assign(new Error(`ENOENT: ${file}`), { code: "ENOENT" });
+    return readFileSync(file, ...rest);
+  });
+  fs.writeFileSync(src("users"), `${table("users")}\n`);
+  await waitFor(() => !fs.existsSync(out("tags")), "tags.js to be removed");
+  read.mock.restore();
+  assert.strictEqual(error.mock.callCount(), 0);
+
+  fs.writeFileSync(src("comments"), table("comments"));
+  await waitFor(() => fs.existsSync(out("comments")), "comments.js");
+  assert.ok(fs.existsSync(out("tags")));
+});